@@ -0,0 +1,84 @@
+// blocked.js - Page shown instead of a blocked site during a work phase
+// The original URL is the whole fragment, exactly as the redirect rule wrote it
+
+class BlockedPage {
+    constructor() {
+        this.url = window.location.hash.slice(1);
+        this.state = null;
+        
+        this.titleElement = document.getElementById('blockedTitle');
+        this.timeElement = document.getElementById('blockedTime');
+        this.urlElement = document.getElementById('blockedUrl');
+        this.pauseBlockingBtn = document.getElementById('pauseBlockingBtn');
+        this.continueBtn = document.getElementById('continueBtn');
+        
+        this.urlElement.textContent = this.url;
+        this.pauseBlockingBtn.addEventListener('click', () => this.pauseBlocking());
+        this.continueBtn.addEventListener('click', () => this.continueToSite());
+        
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.type === 'TIMER_UPDATE') {
+                this.state = message.data;
+                this.render();
+            }
+        });
+        
+        this.loadState();
+        setInterval(() => this.render(), 1000);
+    }
+
+    async loadState() {
+        try {
+            this.state = await chrome.runtime.sendMessage({ type: 'GET_TIMER_STATE' });
+            this.render();
+        } catch (error) {
+            console.error('Failed to load timer state:', error);
+        }
+    }
+
+    render() {
+        if (!this.state) {
+            return;
+        }
+        
+        // Once the work phase is over the site is reachable again
+        const blocking = this.state.isRunning && this.state.currentPhase === 'work';
+        this.pauseBlockingBtn.hidden = !blocking;
+        this.continueBtn.hidden = blocking || !this.isWebUrl();
+        this.titleElement.textContent = blocking ? '专注时间，这个网站已被拦截' : '专注时间已结束';
+        
+        if (!blocking) {
+            this.timeElement.textContent = '--:--';
+            return;
+        }
+        
+        // A flow session has no end, so show the time focused so far instead
+        const seconds = this.state.endTime
+            ? Math.max(0, Math.ceil((this.state.endTime - Date.now()) / 1000))
+            : this.state.timeElapsed || 0;
+        const minutes = Math.floor(seconds / 60);
+        this.timeElement.textContent = `${minutes.toString().padStart(2, '0')}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    // Only ever navigate back to http(s) pages
+    isWebUrl() {
+        return /^https?:\/\//i.test(this.url);
+    }
+
+    async pauseBlocking() {
+        try {
+            await chrome.runtime.sendMessage({ type: 'PAUSE_BLOCKING', url: this.url });
+            this.continueToSite();
+        } catch (error) {
+            console.error('Failed to pause blocking:', error);
+        }
+    }
+
+    continueToSite() {
+        if (this.isWebUrl()) {
+            window.location.replace(this.url);
+        }
+    }
+}
+
+new BlockedPage();
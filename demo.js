@@ -35,6 +35,44 @@ const mockChrome = {
     }
 };
 
+// The service worker loads its scripts into one global scope, where a module
+// finds the classes of the others; give those modules the same here
+global.HistoryAnalysis = require('./history-analysis.js').HistoryAnalysis;
+
+// In-memory chrome.storage area with the same get/set/remove semantics,
+// used to run sync logic for several simulated devices
+function createMemoryStorageArea() {
+    const data = {};
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+    
+    return {
+        get: (keys) => {
+            const wanted = keys === null || keys === undefined ? Object.keys(data) : [].concat(keys);
+            const result = {};
+            wanted.forEach(key => {
+                if (key in data) {
+                    result[key] = copy(data[key]);
+                }
+            });
+            return Promise.resolve(result);
+        },
+        set: (items) => {
+            Object.assign(data, copy(items));
+            return Promise.resolve();
+        },
+        remove: (keys) => {
+            [].concat(keys).forEach(key => delete data[key]);
+            return Promise.resolve();
+        }
+    };
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
 // Test basic timer calculations
 function testTimerLogic() {
     console.log('=== Testing Timer Logic ===');
@@ -52,20 +90,68 @@ function testTimerLogic() {
     console.log('900 seconds =', formatTime(900));   // Should be 15:00
     console.log('59 seconds =', formatTime(59));     // Should be 00:59
     
-    // Test phase transitions
-    function getNextPhase(currentPhase, cycle) {
-        if (currentPhase === 'work') {
-            return cycle % 4 === 0 ? 'long-break' : 'short-break';
-        } else {
-            return 'work';
+    // Test phase transitions with the service worker's rules
+    const { TimerPhases } = require('./timer-phases.js');
+    const settings = { workDuration: 25, shortBreakDuration: 5, longBreakDuration: 15, longBreakInterval: 4 };
+    
+    console.log('\nPhase transition tests:');
+    console.log('After work cycle 1:', TimerPhases.getNextPhase('work', 1, settings)); // short-break
+    console.log('After work cycle 4:', TimerPhases.getNextPhase('work', 4, settings)); // long-break
+    console.log('After short-break:', TimerPhases.getNextPhase('short-break', 1, settings)); // work
+    console.log('After long-break:', TimerPhases.getNextPhase('long-break', 4, settings)); // work
+    assertEqual(TimerPhases.getNextPhase('work', 4, settings), { phase: 'long-break', cycle: 4, seconds: 900 }, 'Long break after the fourth pomodoro');
+    assertEqual(TimerPhases.getNextPhase('long-break', 4, settings), { phase: 'work', cycle: 5, seconds: 1500 }, 'Work after a break starts the next cycle');
+    assertEqual(TimerPhases.isLongBreakDue(4, '4'), true, 'Intervals saved as strings still work');
+    
+    // Walk the full phase sequence for a number of cycles
+    function getPhaseSequence(longBreakInterval, cycles) {
+        const sequence = [];
+        let state = { phase: 'work', cycle: 1 };
+        while (state.cycle <= cycles) {
+            sequence.push(state.phase);
+            state = TimerPhases.getNextPhase(state.phase, state.cycle, { ...settings, longBreakInterval });
         }
+        return sequence.map(p => p === 'work' ? 'W' : p === 'short-break' ? 'S' : 'L').join('');
     }
     
-    console.log('\nPhase transition tests:');
-    console.log('After work cycle 1:', getNextPhase('work', 1)); // short-break
-    console.log('After work cycle 4:', getNextPhase('work', 4)); // long-break
-    console.log('After short-break:', getNextPhase('short-break', 1)); // work
-    console.log('After long-break:', getNextPhase('long-break', 4)); // work
+    const sequenceCases = [
+        { interval: 4, cycles: 8, expected: 'WSWSWSWLWSWSWSWL' },
+        { interval: 3, cycles: 6, expected: 'WSWSWLWSWSWL' },
+        { interval: 1, cycles: 2, expected: 'WLWL' },
+        { interval: 0, cycles: 4, expected: 'WSWSWSWS' }
+    ];
+    
+    console.log('\nPhase sequence tests:');
+    sequenceCases.forEach(({ interval, cycles, expected }) => {
+        const actual = getPhaseSequence(interval, cycles);
+        console.log(`Long break ${interval ? `every ${interval}` : 'never'}:`, actual);
+        if (actual !== expected) {
+            throw new Error(`Expected ${expected} for interval ${interval}, got ${actual}`);
+        }
+    });
+    
+    // Flow sessions earn 1/ratio of their focused time as a break, in whole minutes
+    console.log('\nFlow break tests:');
+    console.log('50 min focused, 1/5:', TimerPhases.getFlowBreakSeconds(50 * 60, 5) / 60, 'min');
+    assertEqual(TimerPhases.getFlowBreakSeconds(50 * 60, 5), 10 * 60, 'Flow break for 50 minutes');
+    assertEqual(TimerPhases.getFlowBreakSeconds(90 * 60, '3'), 30 * 60, 'Flow break with ratio 3');
+    assertEqual(TimerPhases.getFlowBreakSeconds(2 * 60, 5), 60, 'Flow break is at least a minute');
+    assertEqual(TimerPhases.getNextPhase('work', 4, { ...settings, flowBreakRatio: 5 }, 50 * 60),
+        { phase: 'short-break', cycle: 4, seconds: 600 }, 'A flow session is followed by a proportional short break');
+    
+    // Restoring a running timer after the worker was stopped
+    const startedAt = Date.UTC(2026, 9, 19, 9, 0);
+    const flowState = {
+        endTime: null,
+        session: { startedAt: new Date(startedAt).toISOString(), pauses: [
+            { start: new Date(startedAt + 10 * 60000).toISOString(), end: new Date(startedAt + 15 * 60000).toISOString() }
+        ] }
+    };
+    assertEqual(TimerPhases.catchUp(flowState, startedAt + 40 * 60000), { due: false, timeElapsed: 35 * 60 }, 'Flow sessions catch up on focused time, without pauses');
+    flowState.session.pauses.push({ start: new Date(startedAt + 30 * 60000).toISOString(), end: null });
+    assertEqual(TimerPhases.catchUp(flowState, startedAt + 40 * 60000).timeElapsed, 25 * 60, 'An open pause lasts until now');
+    assertEqual(TimerPhases.catchUp({ endTime: startedAt + 25 * 60000 }, startedAt + 20 * 60000), { due: false, timeRemaining: 300 }, 'Countdowns catch up on the time left');
+    assertEqual(TimerPhases.catchUp({ endTime: startedAt + 25 * 60000 }, startedAt + 30 * 60000), { due: true }, 'A countdown that ended meanwhile is due');
     
     console.log('✅ Timer logic tests passed!\n');
 }
@@ -106,6 +192,56 @@ function testSettingsValidation() {
     console.log('✅ Settings validation tests passed!\n');
 }
 
+// Test preset validation, matching and when a preset may change the timer
+function testTimerPresets() {
+    console.log('=== Testing Timer Presets ===');
+    
+    const { TimerPresets, DEFAULT_PRESETS } = require('./timer-presets.js');
+    const presets = TimerPresets.validate([
+        ...DEFAULT_PRESETS,
+        { name: ' 短冲刺 ', workDuration: '15', shortBreakDuration: 3, longBreakDuration: 10 }
+    ]);
+    assertEqual(presets[2].name, '短冲刺', 'Names are trimmed');
+    assertEqual(presets[2].workDuration, 15, 'Durations are whole minutes');
+    assertEqual(/^preset-/.test(presets[2].id), true, 'New presets get an id');
+    
+    const invalid = (list) => {
+        try {
+            TimerPresets.validate(list);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    };
+    assertEqual(invalid([{ ...DEFAULT_PRESETS[0], workDuration: 181 }]), true, 'Work lasts at most 180 minutes');
+    assertEqual(invalid([{ ...DEFAULT_PRESETS[0], name: ' ' }]), true, 'A preset needs a name');
+    assertEqual(invalid([DEFAULT_PRESETS[0], DEFAULT_PRESETS[0]]), true, 'Ids must be unique');
+    
+    // Settings saved before presets existed are matched by their durations
+    const legacy = { workDuration: 50, shortBreakDuration: 10, longBreakDuration: 30 };
+    assertEqual(TimerPresets.findMatching(presets, legacy).id, 'deep-work', 'Legacy settings find their preset');
+    assertEqual(TimerPresets.findMatching(presets, { ...legacy, longBreakDuration: 20 }), null, 'Every duration must match');
+    assertEqual(TimerPresets.apply(legacy, presets[0]).activePresetId, 'classic', 'Applying a preset makes it active');
+    
+    const idle = { currentPhase: 'work', isRunning: false, session: null, timeRemaining: 1500, phaseDuration: 1500 };
+    assertEqual(TimerPresets.isPhaseUnstarted(idle), true, 'A fresh phase takes the new length');
+    assertEqual(TimerPresets.isPhaseUnstarted({ ...idle, timeRemaining: 1200 }), false, 'A paused break keeps its length');
+    assertEqual(TimerPresets.isPhaseUnstarted({ ...idle, session: { startedAt: '' } }), false, 'A paused work session keeps its length');
+    
+    const categories = [{ name: '编程', presetId: 'deep-work' }, { name: '阅读', presetId: null }];
+    const settings = { activePresetId: 'classic' };
+    const categoryPreset = (name, state = idle, current = settings) =>
+        TimerPresets.getCategoryPreset(presets, categories, name, current, state);
+    console.log('Preset for 编程:', categoryPreset('编程').name);
+    assertEqual(categoryPreset('编程').id, 'deep-work', 'A category switches to its default preset');
+    assertEqual(categoryPreset('阅读'), null, 'Categories without a default change nothing');
+    assertEqual(categoryPreset('编程', idle, { activePresetId: 'deep-work' }), null, 'An active preset is not applied again');
+    assertEqual(categoryPreset('编程', { ...idle, isRunning: true }), null, 'Running work keeps its preset');
+    assertEqual(categoryPreset('编程', { ...idle, currentPhase: 'short-break', isRunning: true }).id, 'deep-work', 'A break does not hold the preset back');
+    
+    console.log('✅ Timer preset tests passed!\n');
+}
+
 // Test notification messages
 function testNotificationMessages() {
     console.log('=== Testing Notification Messages ===');
@@ -130,13 +266,431 @@ function testNotificationMessages() {
     console.log('✅ Notification message tests passed!\n');
 }
 
+// Test cross-device sync with two devices sharing one sync area
+async function testSyncService() {
+    console.log('=== Testing Sync Service ===');
+    
+    const { SyncService } = require('./sync-service.js');
+    const syncArea = createMemoryStorageArea();
+    const laptopArea = createMemoryStorageArea();
+    const desktopArea = createMemoryStorageArea();
+    await laptopArea.set({ syncDeviceId: 'device-laptop' });
+    await desktopArea.set({ syncDeviceId: 'device-desktop' });
+    const laptop = new SyncService(syncArea, laptopArea);
+    const desktop = new SyncService(syncArea, desktopArea);
+    await laptop.init();
+    await desktop.init();
+    
+    // Task progress is counted per device, so concurrent increments add up
+    await laptop.saveTask({ id: 'task-1', title: '写周报', type: '工作', estimatedPomodoros: 5, createdAt: '2026-01-01T00:00:00.000Z' });
+    await Promise.all([
+        laptop.incrementTaskCount('task-1'),
+        desktop.incrementTaskCount('task-1'),
+        desktop.incrementTaskCount('task-1')
+    ]);
+    const tasks = await desktop.loadTasks();
+    console.log('Merged task progress:', `${tasks[0].completedPomodoros} / ${tasks[0].estimatedPomodoros}`);
+    assertEqual(tasks[0].completedPomodoros, 3, 'Task counters should sum over devices');
+    
+    // Daily stats are stored per device and summed per day
+    await laptop.recordDay('2026-03-02', 25, true);
+    await desktop.recordDay('2026-03-02', 25, true);
+    await desktop.recordDay('2026-03-02', 10, false);
+    const days = await laptop.getDailyStats('2026-03-01', '2026-03-31');
+    console.log('Merged day:', days['2026-03-02']);
+    assertEqual(days['2026-03-02'].pomodoros, 2, 'Pomodoros should sum over devices');
+    assertEqual(days['2026-03-02'].minutes, 60, 'Minutes should sum over devices');
+    
+    // Merging does not depend on the order items were written in
+    const items = await syncArea.get(null);
+    const reversed = {};
+    Object.keys(items).reverse().forEach(key => { reversed[key] = items[key]; });
+    assertEqual(SyncService.mergeDailyStats(reversed), SyncService.mergeDailyStats(items), 'Merge should be order-independent');
+    
+    const devices = await laptop.getDevices();
+    console.log('Devices:', devices.map(d => `${d.name}${d.isCurrent ? ' (current)' : ''}: ${d.pomodoros}`));
+    assertEqual(devices.length, 2, 'Both devices should be listed');
+    
+    // Clearing stats only removes this device's own items
+    await desktop.clearStats();
+    assertEqual((await laptop.getDailyStats())['2026-03-02'].pomodoros, 1, 'Other devices keep their stats');
+    
+    // Deleting a task on one device lets every device drop its own counter
+    await laptop.deleteTask('task-1');
+    await desktop.pruneTaskCounts();
+    const afterDelete = await syncArea.get(null);
+    const counters = Object.keys(afterDelete).filter(key => key.startsWith('taskCounts:')).map(key => afterDelete[key]);
+    assertEqual(counters, [{}, {}], 'No counters are left for a deleted task');
+    
+    // Archived tasks leave sync with their total and come back with it
+    const task2 = { id: 'task-2', title: '读书', type: '学习', estimatedPomodoros: 2, createdAt: '2026-01-02T00:00:00.000Z' };
+    await laptop.saveTask(task2);
+    await laptop.incrementTaskCount('task-2');
+    await desktop.incrementTaskCount('task-2', 2);
+    await laptop.saveTask({ ...task2, archived: true });
+    await desktop.pruneTaskCounts();
+    assertEqual(`task:task-2` in await syncArea.get(null), false, 'Archived tasks leave sync');
+    assertEqual((await laptop.loadTasks()).map(t => [t.id, t.archived, t.completedPomodoros]), [['task-2', true, 3]], 'The archiving device keeps the task with its total');
+    assertEqual(await desktop.loadTasks(), [], 'Other devices drop archived tasks');
+    await laptop.saveTask({ ...task2, archived: false });
+    assertEqual((await desktop.loadTasks()).map(t => [t.id, !!t.archived, t.completedPomodoros]), [['task-2', false, 3]], 'Restored tasks sync again with their total');
+    assertEqual(await laptop.loadArchivedTasks(), {}, 'Restored tasks leave the archive');
+    
+    // Past the limit the oldest completed tasks are archived to make room
+    const { MAX_SYNCED_TASKS } = require('./sync-service.js');
+    for (let i = 1; i < MAX_SYNCED_TASKS; i++) {
+        const done = i <= 2;
+        await laptop.saveTask({ id: `bulk-${i}`, title: `任务 ${i}`, completed: done, createdAt: '2026-02-01T00:00:00.000Z' });
+    }
+    await laptop.saveTask({ id: 'bulk-new', title: '新任务', createdAt: '2026-03-01T00:00:00.000Z' });
+    const synced = Object.keys(await syncArea.get(null)).filter(key => key.startsWith('task:'));
+    assertEqual(synced.length, MAX_SYNCED_TASKS, 'Sync holds at most the task limit');
+    assertEqual(Object.keys(await laptop.loadArchivedTasks()), ['bulk-1'], 'The oldest completed task is archived first');
+    await laptop.saveTask({ id: 'bulk-2b', title: '再一个' });
+    let limitError = null;
+    try {
+        await laptop.saveTask({ id: 'bulk-3b', title: '放不下' });
+    } catch (error) {
+        limitError = error.message;
+    }
+    console.log('With only open tasks left:', limitError);
+    assertEqual(limitError !== null && !('task:bulk-3b' in await syncArea.get(null)), true, 'No task is added past the limit when all are open');
+
+    // Concurrent edits of different settings both survive, and the newest
+    // value wins when both devices change the same one
+    await laptop.saveSettings({ workDuration: 25, volume: 70 }, 1000);
+    await Promise.all([
+        laptop.saveSettings({ workDuration: 50, volume: 70 }, 2000),
+        desktop.saveSettings({ workDuration: 25, volume: 30 }, 2000)
+    ]);
+    await desktop.saveSettings({ workDuration: 45, volume: 30 }, 1500); // Slow clock
+    const settings = await laptop.loadSettings();
+    console.log('Merged settings:', settings);
+    assertEqual(settings, { volume: 30, workDuration: 45 }, 'Settings merge per field');
+    assertEqual(await desktop.loadSettings(), settings, 'Every device sees the same settings');
+    
+    // Settings synced as one item by older versions move to this device's item
+    const legacyArea = createMemoryStorageArea();
+    await legacyArea.set({ timerSettings: { workDuration: 30 } });
+    const upgraded = new SyncService(legacyArea, createMemoryStorageArea());
+    await upgraded.init();
+    assertEqual(await upgraded.loadSettings(), { workDuration: 30 }, 'Legacy settings are migrated');
+    assertEqual((await legacyArea.get('timerSettings')).timerSettings, undefined, 'The legacy item is removed');
+    
+    console.log('✅ Sync service tests passed!\n');
+}
+
+// Test the time-of-day analysis on records with known local start times
+function testHistoryAnalysis() {
+    console.log('=== Testing Time-of-Day Analysis ===');
+    
+    const { HistoryAnalysis } = require('./history-analysis.js');
+    // Local times, so the test does not depend on the machine's time zone
+    const at = (day, hour, minute = 0) => ({ startTime: new Date(2026, 2, day, hour, minute).toISOString() });
+    const records = [
+        at(2, 9), at(2, 9, 30), at(2, 10), // Monday morning
+        at(3, 10, 15),                     // Tuesday morning
+        at(4, 15), at(8, 21),              // Wednesday afternoon, Sunday evening
+        { startTime: '' }                  // Unusable record is ignored
+    ];
+    
+    const grid = HistoryAnalysis.buildHourGrid(records);
+    assertEqual(grid[0][9], 2, 'Monday 9:00 should hold two pomodoros');
+    assertEqual(grid[6][21], 1, 'Sunday should be the last row');
+    assertEqual(grid.flat().reduce((sum, count) => sum + count, 0), 6, 'Every valid record is counted once');
+    
+    const peaks = HistoryAnalysis.findPeakWindows(grid);
+    console.log('Peak windows:', peaks.map(peak => `${peak.startHour}-${peak.endHour}h ${peak.share}%`));
+    assertEqual(peaks[0], { startHour: 9, endHour: 11, count: 4, share: 67 }, 'Busiest two hours should be 9-11');
+    assertEqual(peaks.length, 3, 'Peaks should not overlap');
+    assertEqual(peaks[1].startHour, 14, 'Ties go to the earlier window');
+    
+    assertEqual(HistoryAnalysis.findPeakWeekday(grid).label, '周一', 'Monday should be the peak weekday');
+    assertEqual(HistoryAnalysis.findPeakWindows(HistoryAnalysis.createHourGrid()), [], 'No data means no peaks');
+    
+    assertEqual(HistoryAnalysis.getDomain('https://www.github.com/a/b?c=1'), 'github.com', 'Domains drop www. and the path');
+    assertEqual(HistoryAnalysis.getDomain('chrome://extensions/'), null, 'Only web pages have a domain');
+    
+    const quality = HistoryAnalysis.createFocusQuality();
+    const isBlocked = domain => domain === 'weibo.com';
+    HistoryAnalysis.addToFocusQuality(quality, { type: '工作', activity: { 'github.com': 1200, 'weibo.com': 300 } }, isBlocked, ['阅读']);
+    HistoryAnalysis.addToFocusQuality(quality, { type: '阅读', activity: { 'weibo.com': 60, '': 240 } }, isBlocked, ['阅读']);
+    HistoryAnalysis.addToFocusQuality(quality, { type: '工作' }, isBlocked, ['阅读']);
+    console.log('Focus quality:', quality.focusedSeconds, quality.blockedSeconds, quality.nonWorkSeconds);
+    assertEqual([quality.focusedSeconds, quality.blockedSeconds, quality.nonWorkSeconds], [1200, 360, 240], 'Blocked sites win over non-work types');
+    assertEqual(quality.domains['weibo.com'], { seconds: 360, blocked: true }, 'Time is summed per site');
+    
+    console.log('✅ Time-of-day analysis tests passed!\n');
+}
+
+// Test goal lookup and streaks, including days without a goal
+function testGoalStreaks() {
+    console.log('=== Testing Goal Streaks ===');
+    
+    const { HistoryAnalysis } = require('./history-analysis.js');
+    const daily = { dailyGoal: 2 };
+    const weekdays = { dailyGoal: 2, weekdayGoals: [2, 2, 2, 2, 2, 0, 0] }; // Weekends off
+    
+    assertEqual(HistoryAnalysis.getDailyGoal(weekdays, '2026-10-17'), 0, 'Saturday has no goal');
+    assertEqual(HistoryAnalysis.getDailyGoal(daily, '2026-10-17'), 2, 'dailyGoal applies without weekday goals');
+    assertEqual(HistoryAnalysis.getWeekStart('2026-10-25'), '2026-10-19', 'Weeks start on Monday');
+    
+    // Oct 12 is missed, Oct 13-15 meet the goal and today (Oct 16) is still in progress
+    const counts = { '2026-10-10': 2, '2026-10-11': 3, '2026-10-13': 2, '2026-10-14': 5, '2026-10-15': 2, '2026-10-16': 1 };
+    const streaks = HistoryAnalysis.computeStreaks(counts, daily, '2026-10-16');
+    console.log('Streaks:', streaks);
+    assertEqual(streaks, { current: 3, longest: 3 }, 'An unfinished today should not break the streak');
+    
+    // Friday, then a weekend without goals, then Monday
+    const weekendStreak = HistoryAnalysis.computeStreaks({ '2026-10-16': 2, '2026-10-19': 2 }, weekdays, '2026-10-19');
+    assertEqual(weekendStreak.current, 2, 'Days without a goal should not break the streak');
+    assertEqual(HistoryAnalysis.computeStreaks(counts, {}, '2026-10-16'), { current: 0, longest: 0 }, 'No goal means no streak');
+    
+    console.log('✅ Goal streak tests passed!\n');
+}
+
+// Test blocklist pattern parsing and the generated redirect rules
+function testSiteBlocker() {
+    console.log('=== Testing Site Blocker ===');
+    
+    const { SiteBlocker } = require('./site-blocker.js');
+    assertEqual(SiteBlocker.normalizePattern(' https://Weibo.com/ '), 'weibo.com', 'Scheme, case and bare slash are dropped');
+    assertEqual(SiteBlocker.normalizePattern('not a domain'), null, 'Invalid patterns are rejected');
+    
+    const matches = (pattern, url) => new RegExp(SiteBlocker.patternToRegex(pattern)).test(url);
+    assertEqual(matches('weibo.com', 'https://m.weibo.com/home'), true, 'A domain covers its subdomains');
+    assertEqual(matches('weibo.com', 'https://notweibo.com/'), false, 'Other domains with the same suffix are not blocked');
+    assertEqual(matches('weibo.com', 'https://weibo.com.example.org/'), false, 'The domain must end the host');
+    assertEqual(matches('*.reddit.com', 'https://reddit.com/'), false, '*. only covers subdomains');
+    assertEqual(matches('youtube.com/shorts', 'https://www.youtube.com/shorts/abc'), true, 'Paths match as a prefix');
+    assertEqual(matches('youtube.com/shorts', 'https://www.youtube.com/watch'), false, 'Other paths stay reachable');
+    
+    const rules = SiteBlocker.buildRules(
+        { strictMode: true, blocklist: ['weibo.com'], allowlist: ['github.com'] },
+        'chrome-extension://id/blocked.html'
+    );
+    console.log('Strict mode rules:', rules.map(rule => `${rule.action.type}@${rule.priority}`));
+    assertEqual(rules.map(rule => rule.action.type), ['redirect', 'allow'], 'Strict mode ignores the blocklist');
+    assertEqual(rules[1].priority > rules[0].priority, true, 'Allowlist entries outrank the catch-all');
+    assertEqual(SiteBlocker.isBlockedUrl({ strictMode: true, blocklist: [], allowlist: ['github.com'] }, 'https://news.ycombinator.com/'), true, 'Strict mode blocks what is not allowed');
+    
+    // Apply a redirect the way Chrome does; the blocked page reads the fragment
+    const [redirectRule] = SiteBlocker.buildRules({ strictMode: false, blocklist: ['weibo.com'], allowlist: [] }, 'chrome-extension://id/blocked.html');
+    const original = 'https://weibo.com/search?q=a&url=b#top';
+    const redirected = original.replace(new RegExp(redirectRule.condition.regexFilter), redirectRule.action.redirect.regexSubstitution.replace('\\1', '$1'));
+    console.log('Redirected to:', redirected);
+    assertEqual(new URL(redirected).hash.slice(1), original, 'The original query and fragment reach the blocked page');
+    
+    console.log('✅ Site blocker tests passed!\n');
+}
+
+// Test parsing of "tomato ..." address bar commands
+function testOmniboxCommands() {
+    console.log('=== Testing Omnibox Commands ===');
+    
+    const { OmniboxCommands } = require('./omnibox-commands.js');
+    const categories = ['工作', '编程', 'Reading'];
+    assertEqual(OmniboxCommands.parse('start 50 编程', categories), { command: 'start', minutes: 50, category: '编程' }, 'Start with minutes and task type');
+    assertEqual(OmniboxCommands.parse('开始', categories), { command: 'start', minutes: null, category: null }, 'Chinese alias without arguments');
+    assertEqual(OmniboxCommands.parse('s reading', categories).category, 'Reading', 'Task types match case-insensitively');
+    assertEqual(OmniboxCommands.parse('start 0', categories).error !== undefined, true, 'Zero minutes are rejected');
+    assertEqual(OmniboxCommands.parse('start 25 游戏', categories).error !== undefined, true, 'Unknown task types are rejected');
+    assertEqual(OmniboxCommands.parse('pause now', categories).error !== undefined, true, 'Pause takes no arguments');
+    
+    const suggestions = OmniboxCommands.getSuggestions('start 25 ', categories).map(item => item.content);
+    console.log('Suggestions for "start 25 ":', suggestions);
+    assertEqual(suggestions, ['start 25 工作', 'start 25 编程', 'start 25 Reading'], 'Task types are suggested after start');
+    assertEqual(OmniboxCommands.getSuggestions('st', categories).map(item => item.content), ['start', 'stats'], 'Commands are suggested by prefix');
+    assertEqual(OmniboxCommands.escapeDescription('<a & b>'), '&lt;a &amp; b&gt;', 'Descriptions are XML-escaped');
+    
+    console.log('✅ Omnibox command tests passed!\n');
+}
+
+// Test finding the current and next block of a weekly schedule
+function testWorkSchedule() {
+    console.log('=== Testing Work Schedule ===');
+    
+    const { WorkSchedule } = require('./work-schedule.js');
+    const schedule = WorkSchedule.validate({
+        enabled: true,
+        blocks: [{ days: [4, 0, 1, 2, 3, 3], start: '9:00', end: '11:30' }],
+        holidays: ['2026-10-19']
+    });
+    assertEqual(schedule.blocks[0], { days: [0, 1, 2, 3, 4], start: '09:00', end: '11:30' }, 'Blocks are normalized');
+    assertEqual(schedule.stopAfterBlock, true, 'New cycles stop after the block by default');
+    
+    const invalid = (changes) => {
+        try {
+            WorkSchedule.validate({ blocks: [{ days: [0], start: '09:00', end: '10:00' }], ...changes });
+            return false;
+        } catch (error) {
+            return true;
+        }
+    };
+    assertEqual(invalid({ blocks: [{ days: [0], start: '11:00', end: '10:00' }] }), true, 'A block must end after it starts');
+    assertEqual(invalid({ blocks: [{ days: [], start: '09:00', end: '10:00' }] }), true, 'A block needs a weekday');
+    assertEqual(invalid({ holidays: ['2026-02-30'] }), true, 'Holidays must be real dates');
+    
+    // Friday 2026-10-16, Monday 2026-10-19 is a holiday
+    const format = block => block && `${HistoryAnalysis.formatDate(block.start)} ${block.start.toTimeString().slice(0, 5)}`;
+    const friday = new Date(2026, 9, 16, 10, 0);
+    assertEqual(format(WorkSchedule.findCurrentBlock(schedule, friday)), '2026-10-16 09:00', 'Block in progress');
+    assertEqual(WorkSchedule.findCurrentBlock(schedule, new Date(2026, 9, 16, 11, 30)), null, 'A block ends at its end time');
+    const next = WorkSchedule.findNextBlock(schedule, friday);
+    console.log('Next block after Friday 10:00:', format(next));
+    assertEqual(format(next), '2026-10-20 09:00', 'Weekends and holidays are skipped');
+    assertEqual(WorkSchedule.findNextBlock({ ...schedule, blocks: [] }, friday), null, 'No blocks, no next block');
+    
+    console.log('✅ Work schedule tests passed!\n');
+}
+
+// Test the CSV and iCalendar export files
+function testHistoryFiles() {
+    console.log('=== Testing History Files ===');
+    
+    const { HistoryFiles } = require('./history-files.js');
+    assertEqual(HistoryFiles.escapeCsvField('写周报'), '写周报', 'Plain fields are not quoted');
+    assertEqual(HistoryFiles.escapeCsvField('a,b'), '"a,b"', 'Fields with commas are quoted');
+    assertEqual(HistoryFiles.escapeCsvField('say "hi"'), '"say ""hi"""', 'Quotes are doubled');
+    assertEqual(HistoryFiles.escapeCsvField('line\nbreak'), '"line\nbreak"', 'Fields with line breaks are quoted');
+    assertEqual(HistoryFiles.escapeCsvField(null), '', 'Missing values are empty');
+    
+    const record = {
+        id: 1760000000000123,
+        date: '2026-10-19',
+        startTime: '2026-10-19T01:00:00.000Z',
+        endTime: '2026-10-19T01:25:00.000Z',
+        duration: 25,
+        plannedDuration: 25,
+        pauses: [],
+        outcome: 'abandoned',
+        reason: '开会, "临时"',
+        type: '工作',
+        taskId: 'task-1'
+    };
+    const getTitle = () => '写周报；第二版';
+    const csv = HistoryFiles.buildCsv([record], getTitle);
+    const [header, row] = csv.slice(1).split('\r\n');
+    assertEqual(csv.charAt(0), '\uFEFF', 'CSV starts with a BOM');
+    assertEqual(header.split(',').slice(0, 4), ['id', 'date', 'startTime', 'endTime'], 'CSV header');
+    assertEqual(row.includes(',"开会, ""临时""",'), true, 'Reasons with commas and quotes are escaped');
+    assertEqual(row.endsWith(',写周报；第二版'), true, 'Task titles come from getTitle');
+    
+    assertEqual(HistoryFiles.escapeIcsText('a;b,c\\d\ne'), 'a\\;b\\,c\\\\d\\ne', 'ICS text escaping');
+    const long = `SUMMARY:${'番茄'.repeat(30)}`;
+    const folded = HistoryFiles.foldIcsLine(long).split('\r\n');
+    console.log('Folded a', Buffer.byteLength(long), 'octet line into', folded.length, 'lines');
+    assertEqual(folded.every(line => Buffer.byteLength(line) <= 75), true, 'Folded lines are at most 75 octets');
+    assertEqual(folded.slice(1).every(line => line.startsWith(' ')), true, 'Continuation lines start with a space');
+    assertEqual(folded.map((line, i) => (i ? line.slice(1) : line)).join(''), long, 'Folding keeps every character whole');
+    assertEqual(HistoryFiles.foldIcsLine('x'.repeat(75)), 'x'.repeat(75), 'A 75 octet line is not folded');
+    
+    const ics = HistoryFiles.buildIcs([record], getTitle, new Date(Date.UTC(2026, 9, 19, 12, 0)));
+    const lines = ics.split('\r\n');
+    assertEqual(lines.includes('DTSTAMP:20261019T120000Z'), true, 'DTSTAMP is the export time');
+    assertEqual(lines.includes('DTSTART:20261019T010000Z'), true, 'DTSTART comes from the start time');
+    assertEqual(lines.includes('SUMMARY:🍅 写周报；第二版（已放弃）'), true, 'Summary has the title and outcome');
+    assertEqual(lines.includes('DESCRIPTION:类型：工作\\n专注：25 分钟\\n原因：开会\\, "临时"'), true, 'Description lines are escaped');
+    
+    console.log('✅ History file tests passed!\n');
+}
+
+// Test checking imported history before anything is written
+function testHistoryImport() {
+    console.log('=== Testing History Import ===');
+    
+    const { HistoryImport } = require('./history-import.js');
+    const { HistoryFiles } = require('./history-files.js');
+    const record = (id, changes = {}) => ({
+        id,
+        date: '2026-10-19',
+        startTime: '2026-10-19T01:00:00.000Z',
+        endTime: '2026-10-19T01:25:00.000Z',
+        duration: 25,
+        ...changes
+    });
+    
+    const rejectReason = raw => {
+        try {
+            HistoryImport.normalizeRecord(raw);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    };
+    assertEqual(rejectReason(record(0)), '缺少有效的 id', 'Records need an id');
+    assertEqual(rejectReason(record(1, { date: '19/10/2026' })), '日期格式应为 YYYY-MM-DD', 'Dates must be YYYY-MM-DD');
+    assertEqual(rejectReason(record(1, { duration: -5 })), '专注时长无效', 'Durations cannot be negative');
+    assertEqual(rejectReason(record(1, { outcome: 'lost' })), '未知的结果：lost', 'Outcomes must be known');
+    assertEqual(rejectReason(record(1, { pauses: [{ start: 'x' }] })), '暂停区间无效', 'Pauses need a start and an end');
+    
+    // Original format: the id is the time the pomodoro was recorded
+    const legacy = HistoryImport.normalizeRecord({ id: Date.UTC(2026, 9, 19, 1, 25), date: '2026-10-18', startTime: '09:00', duration: 25 });
+    assertEqual([legacy.startTime, legacy.endTime], ['2026-10-19T01:00:00.000Z', '2026-10-19T01:25:00.000Z'], 'Original-format records get timestamps');
+    
+    const file = [record(1), record(2), record(2, { duration: 30 }), record(3, { outcome: 'lost' }), record(4)];
+    const merged = HistoryImport.plan(file, 'merge', [1]);
+    console.log('Merge summary:', merged.summary);
+    assertEqual(merged.records.map(r => r.id), [2, 4], 'Merging skips known and repeated ids');
+    assertEqual(merged.records[0].duration, 25, 'The first record with an id wins');
+    assertEqual([merged.summary.added, merged.summary.skipped, merged.summary.rejected], [2, 2, 1], 'Merge summary counts');
+    assertEqual(merged.summary.errors, [{ index: 3, error: '未知的结果：lost' }], 'Rejected records are listed by index');
+    
+    const replaced = HistoryImport.plan(file, 'replace', [1]);
+    assertEqual(replaced.records.map(r => r.id), [1, 2, 4], 'Replacing ignores the existing history');
+    assertEqual(replaced.summary.skipped, 1, 'Replacing still skips repeated ids');
+    
+    // An export read back in comes out the same
+    const exported = HistoryImport.plan([record(5, { reason: '开会, "临时"\n改期', type: '学习', outcome: 'abandoned' })], 'merge', []).records;
+    const csv = HistoryFiles.buildCsv(exported, () => '');
+    const roundTrip = HistoryImport.plan(HistoryFiles.parseHistoryCsv(csv), 'merge', []).records;
+    assertEqual(roundTrip, exported, 'CSV exports import unchanged');
+    
+    console.log('✅ History import tests passed!\n');
+}
+
+// Test dating idle spans and taking them out of the focused time
+function testIdleSpans() {
+    console.log('=== Testing Idle Spans ===');
+    
+    const { IdleSpans } = require('./idle-spans.js');
+    const startedAt = Date.UTC(2026, 9, 19, 9, 0);
+    const at = minutes => new Date(startedAt + minutes * 60000).toISOString();
+    const minutesOf = pause => pause && [(pause.start - startedAt) / 60000, (pause.end - startedAt) / 60000];
+    const session = { startedAt: at(0), pauses: [] };
+    
+    assertEqual(IdleSpans.getSpanStart(session, 'idle', startedAt + 20 * 60000, 300), startedAt + 15 * 60000, 'Idle spans are dated back by the detection interval');
+    assertEqual(IdleSpans.getSpanStart(session, 'locked', startedAt + 20 * 60000, 300), startedAt + 20 * 60000, 'A lock is not dated back');
+    const resumed = { startedAt: at(0), pauses: [{ start: at(5), end: at(18) }] };
+    assertEqual(IdleSpans.getSpanStart(resumed, 'idle', startedAt + 20 * 60000, 300), startedAt + 18 * 60000, 'A span starts no earlier than the last resume');
+    
+    // Pause mode: the timer was paused when the absence was noticed at 20 minutes
+    const paused = { startedAt: at(0), pauses: [{ start: at(20), end: null }] };
+    assertEqual(minutesOf(IdleSpans.getDiscardedPause(paused, { start: at(15), end: at(30) })), [15, 20], 'Pause mode discards only the time before the pause');
+    // Mark mode: the timer kept running through the absence
+    assertEqual(minutesOf(IdleSpans.getDiscardedPause(session, { start: at(15), end: at(30) })), [15, 30], 'Mark mode discards the whole span');
+    assertEqual(IdleSpans.getDiscardedPause(session, { start: at(20), end: at(20) }), null, 'A lock that ended at once leaves nothing to discard');
+    
+    console.log('✅ Idle span tests passed!\n');
+}
+
 // Run all tests
-function runTests() {
+async function runTests() {
     console.log('🍅 Chrome Tomato Clock - Extension Logic Tests\n');
     
     testTimerLogic();
     testSettingsValidation();
+    testTimerPresets();
     testNotificationMessages();
+    await testSyncService();
+    testHistoryAnalysis();
+    testGoalStreaks();
+    testHistoryFiles();
+    testHistoryImport();
+    testSiteBlocker();
+    testOmniboxCommands();
+    testWorkSchedule();
+    testIdleSpans();
     
     console.log('🎉 All tests completed successfully!');
     console.log('\nTo test the full extension:');
@@ -149,6 +703,14 @@ function runTests() {
 // Run tests if in Node.js environment
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { runTests };
+    
+    // `node demo.js` runs the tests; a failed assertion exits non-zero
+    if (require.main === module) {
+        runTests().catch(error => {
+            console.error(error);
+            process.exit(1);
+        });
+    }
 } else if (typeof window === 'undefined') {
     runTests();
 }
\ No newline at end of file
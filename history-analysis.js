@@ -0,0 +1,183 @@
+// history-analysis.js - Pure aggregations over Tomato Clock history records
+//
+// Nothing here touches storage or the DOM, so every function can be tested
+// with plain record objects.
+
+const WEEKDAY_LABELS = ['周一', '周二', '周三', '周四', '周五', '周六', '周日'];
+
+class HistoryAnalysis {
+    // 7×24 matrix of completed pomodoros: rows are weekdays starting on Monday,
+    // columns are the local hour the session started in
+    static createHourGrid() {
+        return Array.from({ length: 7 }, () => new Array(24).fill(0));
+    }
+
+    static addToHourGrid(grid, record) {
+        const start = new Date(record.startTime);
+        if (isNaN(start)) {
+            return grid;
+        }
+
+        const weekday = (start.getDay() + 6) % 7;
+        grid[weekday][start.getHours()]++;
+        return grid;
+    }
+
+    static buildHourGrid(records) {
+        const grid = HistoryAnalysis.createHourGrid();
+        records.forEach(record => HistoryAnalysis.addToHourGrid(grid, record));
+        return grid;
+    }
+
+    // Finds the busiest non-overlapping windows of windowHours consecutive
+    // hours (within one day), e.g. [{ startHour: 9, endHour: 11, count, share }]
+    static findPeakWindows(grid, windowHours = 2, limit = 3) {
+        const hourTotals = new Array(24).fill(0);
+        grid.forEach(row => row.forEach((count, hour) => { hourTotals[hour] += count; }));
+        const total = hourTotals.reduce((sum, count) => sum + count, 0);
+        if (total === 0) {
+            return [];
+        }
+
+        const windows = [];
+        for (let startHour = 0; startHour + windowHours <= 24; startHour++) {
+            const count = hourTotals
+                .slice(startHour, startHour + windowHours)
+                .reduce((sum, value) => sum + value, 0);
+            if (count > 0) {
+                windows.push({ startHour, endHour: startHour + windowHours, count });
+            }
+        }
+
+        // Earlier windows win ties so the result is stable
+        windows.sort((a, b) => b.count - a.count || a.startHour - b.startHour);
+
+        const peaks = [];
+        windows.forEach(window => {
+            const overlaps = peaks.some(peak => window.startHour < peak.endHour && peak.startHour < window.endHour);
+            if (!overlaps && peaks.length < limit) {
+                peaks.push({ ...window, share: Math.round((window.count / total) * 100) });
+            }
+        });
+        return peaks;
+    }
+
+    // Weekday with the most completed pomodoros, or null without data
+    static findPeakWeekday(grid) {
+        const totals = grid.map(row => row.reduce((sum, count) => sum + count, 0));
+        const max = Math.max(...totals);
+        if (max === 0) {
+            return null;
+        }
+
+        const total = totals.reduce((sum, count) => sum + count, 0);
+        const weekday = totals.indexOf(max);
+        return { weekday, label: WEEKDAY_LABELS[weekday], count: max, share: Math.round((max / total) * 100) };
+    }
+
+    // Tracked time split into focused time, time on blocked sites and time in
+    // sessions of non-work task types; a blocked site counts as blocked even in
+    // a non-work session. domains maps sites ('' = outside Chrome) to seconds.
+    static createFocusQuality() {
+        return { totalSeconds: 0, focusedSeconds: 0, blockedSeconds: 0, nonWorkSeconds: 0, domains: {} };
+    }
+
+    static addToFocusQuality(quality, record, isBlockedDomain, nonWorkTypes) {
+        if (!record.activity) {
+            return quality;
+        }
+
+        const nonWork = nonWorkTypes.includes(record.type);
+        Object.entries(record.activity).forEach(([domain, seconds]) => {
+            const blocked = !!domain && isBlockedDomain(domain);
+            const entry = quality.domains[domain] || (quality.domains[domain] = { seconds: 0, blocked });
+            entry.seconds += seconds;
+            quality.totalSeconds += seconds;
+            if (blocked) {
+                quality.blockedSeconds += seconds;
+            } else if (nonWork) {
+                quality.nonWorkSeconds += seconds;
+            } else {
+                quality.focusedSeconds += seconds;
+            }
+        });
+        return quality;
+    }
+
+    // Site a record was worked on, e.g. "github.com" for https://www.github.com/a/b;
+    // null for records without a web page
+    static getDomain(url) {
+        if (!url) {
+            return null;
+        }
+        try {
+            const { protocol, hostname } = new URL(url);
+            return /^https?:$/.test(protocol) && hostname ? hostname.replace(/^www\./, '') : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Local YYYY-MM-DD, matching the date field of history records
+    static formatDate(date) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    static parseDate(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // Monday of the week containing dateString
+    static getWeekStart(dateString) {
+        const date = HistoryAnalysis.parseDate(dateString);
+        date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+        return HistoryAnalysis.formatDate(date);
+    }
+
+    // Pomodoro goal for one day: the weekday's own goal when weekdayGoals
+    // (Monday first) is set, otherwise dailyGoal; 0 means no goal that day
+    static getDailyGoal(settings, dateString) {
+        const weekdayGoals = settings.weekdayGoals;
+        if (Array.isArray(weekdayGoals) && weekdayGoals.length === 7) {
+            const weekday = (HistoryAnalysis.parseDate(dateString).getDay() + 6) % 7;
+            return weekdayGoals[weekday] || 0;
+        }
+        return settings.dailyGoal || 0;
+    }
+
+    // Current and longest runs of days meeting their goal. dayCounts maps
+    // dates to completed pomodoros. Days without a goal neither extend nor
+    // break a streak, and today only counts once its goal is met.
+    static computeStreaks(dayCounts, settings, today) {
+        const dates = Object.keys(dayCounts).filter(date => date <= today).sort();
+        const streaks = { current: 0, longest: 0 };
+        if (dates.length === 0) {
+            return streaks;
+        }
+
+        let run = 0;
+        const date = HistoryAnalysis.parseDate(dates[0]);
+        for (let dateString = dates[0]; dateString <= today; dateString = HistoryAnalysis.formatDate(date)) {
+            const goal = HistoryAnalysis.getDailyGoal(settings, dateString);
+            if (goal > 0) {
+                if ((dayCounts[dateString] || 0) >= goal) {
+                    run++;
+                    streaks.longest = Math.max(streaks.longest, run);
+                } else if (dateString !== today) {
+                    run = 0;
+                }
+            }
+            date.setDate(date.getDate() + 1);
+        }
+
+        streaks.current = run;
+        return streaks;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HistoryAnalysis, WEEKDAY_LABELS };
+}
@@ -0,0 +1,190 @@
+// history-files.js - CSV and iCalendar files of Tomato Clock history
+//
+// The popup builds the export files and reads CSV imports with these
+// functions. Task titles live in the popup, so it passes getTitle(record),
+// the title shown for a record.
+
+class HistoryFiles {
+    // RFC 4180: quote fields containing separators, quotes or line breaks
+    static escapeCsvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static buildCsv(records, getTitle) {
+        const columns = [
+            ['id', record => record.id],
+            ['date', record => record.date],
+            ['startTime', record => record.startTime],
+            ['endTime', record => record.endTime],
+            ['focusedMinutes', record => record.duration],
+            ['plannedMinutes', record => record.plannedDuration],
+            ['pausedMinutes', record => Math.round((record.pauses || []).reduce((sum, pause) =>
+                sum + (new Date(pause.end) - new Date(pause.start)), 0) / 60000 * 10) / 10],
+            ['outcome', record => record.outcome || 'completed'],
+            ['reason', record => record.reason],
+            ['type', record => record.type],
+            ['taskId', record => record.taskId],
+            ['url', record => record.url],
+            ['preset', record => record.preset ? record.preset.name : ''],
+            ['adjustedMinutes', record => (record.adjustments || []).reduce((sum, adjustment) => sum + adjustment.minutes, 0)],
+            ['flow', record => record.flow ? 'true' : ''],
+            ['idleMinutes', record => Math.round((record.idle || []).reduce((sum, span) =>
+                sum + (new Date(span.end) - new Date(span.start)), 0) / 60000 * 10) / 10],
+            ['task', record => record.taskId ? getTitle(record) : '']
+        ];
+
+        const lines = [columns.map(([name]) => name).join(',')];
+        records.forEach(record => {
+            lines.push(columns.map(([, getValue]) => HistoryFiles.escapeCsvField(getValue(record))).join(','));
+        });
+
+        // The BOM lets spreadsheet apps detect UTF-8 so Chinese text is not garbled
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    // RFC 5545 text escaping for SUMMARY, DESCRIPTION and CATEGORIES
+    static escapeIcsText(value) {
+        return String(value || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    static formatIcsDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    // Content lines longer than 75 octets are folded onto continuation lines;
+    // counting UTF-8 bytes keeps multi-byte characters from being split
+    static foldIcsLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            if (currentBytes + bytes > 75) {
+                parts.push(current);
+                current = ' ';
+                currentBytes = 1;
+            }
+            current += char;
+            currentBytes += bytes;
+        }
+        parts.push(current);
+        return parts.join('\r\n');
+    }
+
+    // now is the DTSTAMP of every event
+    static buildIcs(records, getTitle, now = new Date()) {
+        const outcomeLabels = { skipped: '（已跳过）', abandoned: '（已放弃）' };
+        const stamp = HistoryFiles.formatIcsDate(now);
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Tomato Clock//Pomodoro History//ZH',
+            'CALSCALE:GREGORIAN'
+        ];
+
+        records.forEach(record => {
+            const end = new Date(record.endTime || record.id);
+            const start = record.startTime && !isNaN(new Date(record.startTime))
+                ? new Date(record.startTime)
+                : new Date(end.getTime() - (record.duration || 0) * 60000);
+            const description = [
+                `类型：${record.type || '工作'}`,
+                `专注：${record.duration} 分钟`,
+                record.reason ? `原因：${record.reason}` : ''
+            ].filter(Boolean).join('\n');
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${record.id}@tomato-clock`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${HistoryFiles.formatIcsDate(start)}`,
+                `DTEND:${HistoryFiles.formatIcsDate(end)}`,
+                `SUMMARY:${HistoryFiles.escapeIcsText(`🍅 ${getTitle(record)}${outcomeLabels[record.outcome] || ''}`)}`,
+                `DESCRIPTION:${HistoryFiles.escapeIcsText(description)}`,
+                `CATEGORIES:${HistoryFiles.escapeIcsText(record.type || '工作')}`,
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => HistoryFiles.foldIcsLine(line)).join('\r\n') + '\r\n';
+    }
+
+    // RFC 4180 parser, the counterpart of buildCsv: quoted fields may contain
+    // separators, doubled quotes and line breaks
+    static parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        text = text.replace(/^\uFEFF/, '');
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(fields => fields.some(value => value !== ''));
+    }
+
+    // Turns CSV rows from buildCsv back into history records
+    static parseHistoryCsv(text) {
+        const [header, ...rows] = HistoryFiles.parseCsv(text);
+        if (!header || !header.includes('id') || !header.includes('date')) {
+            throw new Error('CSV 缺少 id 或 date 列');
+        }
+
+        // CSV column names that differ from the record fields
+        const fieldNames = { focusedMinutes: 'duration', plannedMinutes: 'plannedDuration' };
+        const ignored = ['pausedMinutes', 'task', 'adjustedMinutes', 'idleMinutes'];
+
+        return rows.map(values => {
+            const record = {};
+            header.forEach((column, index) => {
+                if (!ignored.includes(column) && values[index] !== undefined && values[index] !== '') {
+                    record[fieldNames[column] || column] = values[index];
+                }
+            });
+            return record;
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HistoryFiles };
+}
@@ -0,0 +1,167 @@
+// history-import.js - Checks imported Tomato Clock history before it is stored
+//
+// Records may come from a JSON export, a CSV row or the original format. The
+// service worker plans the import here, without touching IndexedDB, and only
+// writes the records once the user confirms the preview.
+// Uses HistoryAnalysis, so the service worker imports history-analysis.js too.
+
+class HistoryImport {
+    // Upgrades a record from the original format (UTC date, HH:MM start time,
+    // configured instead of actual duration) to full timestamps
+    static migrateRecord(record) {
+        if (record.endTime && !/^\d{2}:\d{2}$/.test(record.startTime || '')) {
+            return record;
+        }
+
+        const durationMs = (record.duration || 0) * 60 * 1000;
+        // Old ids are the Date.now() of the moment the pomodoro was recorded
+        // (createRecordId came later and always goes with an endTime)
+        let endedAt = new Date(record.id);
+        if (isNaN(endedAt) || endedAt.getFullYear() < 2000) {
+            const localStart = new Date(`${record.date}T${record.startTime || '00:00'}:00`);
+            endedAt = new Date(localStart.getTime() + durationMs);
+        }
+        const startedAt = new Date(endedAt.getTime() - durationMs);
+
+        return {
+            ...record,
+            date: HistoryAnalysis.formatDate(startedAt),
+            startTime: startedAt.toISOString(),
+            endTime: endedAt.toISOString(),
+            pauses: record.pauses || [],
+            focusedSeconds: Math.round(durationMs / 1000),
+            plannedDuration: record.plannedDuration || record.duration
+        };
+    }
+
+    // Returns the record in the current format; throws with a readable reason
+    static normalizeRecord(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error('不是有效的记录');
+        }
+
+        const id = Number(raw.id);
+        if (!Number.isFinite(id) || id <= 0) {
+            throw new Error('缺少有效的 id');
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(raw.date || '')) {
+            throw new Error('日期格式应为 YYYY-MM-DD');
+        }
+
+        const duration = Number(raw.duration);
+        if (raw.duration === undefined || raw.duration === '' || !Number.isFinite(duration) || duration < 0 || duration > 24 * 60) {
+            throw new Error('专注时长无效');
+        }
+
+        const outcome = raw.outcome || 'completed';
+        if (!['completed', 'skipped', 'abandoned'].includes(outcome)) {
+            throw new Error(`未知的结果：${outcome}`);
+        }
+
+        const isValidTime = value => !isNaN(new Date(value));
+        const isOldStartTime = /^\d{2}:\d{2}$/.test(raw.startTime || '');
+        if (raw.startTime && !isOldStartTime && !isValidTime(raw.startTime)) {
+            throw new Error('开始时间无效');
+        }
+        if (raw.endTime && !isValidTime(raw.endTime)) {
+            throw new Error('结束时间无效');
+        }
+
+        const pauses = raw.pauses === undefined || raw.pauses === '' ? [] : raw.pauses;
+        if (!Array.isArray(pauses) || !pauses.every(pause =>
+            pause && isValidTime(pause.start) && isValidTime(pause.end))) {
+            throw new Error('暂停区间无效');
+        }
+
+        const record = {
+            id: id,
+            date: raw.date,
+            startTime: raw.startTime || '',
+            pauses: pauses,
+            duration: duration,
+            plannedDuration: Number(raw.plannedDuration) || Math.round(duration),
+            outcome: outcome,
+            reason: String(raw.reason || ''),
+            blockingPauses: Number(raw.blockingPauses) || 0,
+            type: String(raw.type || '工作'),
+            taskId: raw.taskId || null,
+            url: HistoryAnalysis.getDomain(raw.url) ? String(raw.url) : null,
+            activity: raw.activity && typeof raw.activity === 'object' && !Array.isArray(raw.activity) &&
+                Object.values(raw.activity).every(seconds => Number.isFinite(seconds) && seconds >= 0)
+                ? raw.activity
+                : null,
+            adjustments: Array.isArray(raw.adjustments)
+                ? raw.adjustments.filter(adjustment =>
+                    adjustment && isValidTime(adjustment.at) && Number.isFinite(adjustment.minutes))
+                : [],
+            idle: Array.isArray(raw.idle)
+                ? raw.idle
+                    .filter(span => span && isValidTime(span.start) && isValidTime(span.end))
+                    .map(span => ({ start: span.start, end: span.end, discarded: !!span.discarded }))
+                : [],
+            // JSON exports hold { id, name }, CSV exports only the name
+            preset: raw.preset && typeof raw.preset === 'object'
+                ? { id: raw.preset.id || null, name: String(raw.preset.name || '') }
+                : (raw.preset ? { id: null, name: String(raw.preset) } : null),
+            flow: raw.flow === true || raw.flow === 'true'
+        };
+
+        if (!raw.endTime) {
+            // Original-format record: rebuild timestamps from id and duration
+            return HistoryImport.migrateRecord(record);
+        }
+
+        record.endTime = new Date(raw.endTime).toISOString();
+        record.startTime = raw.startTime && !isOldStartTime
+            ? new Date(raw.startTime).toISOString()
+            : new Date(new Date(raw.endTime).getTime() - duration * 60000).toISOString();
+        record.focusedSeconds = Number(raw.focusedSeconds) || Math.round(duration * 60);
+        return record;
+    }
+
+    // The records to write and a summary for the preview. mode is 'merge'
+    // (keep existingIds, skip records with a known id) or 'replace'; a
+    // record whose id comes twice in the file is only imported once.
+    static plan(rawRecords, mode, existingIds) {
+        if (!Array.isArray(rawRecords)) {
+            throw new Error('导入文件中没有记录列表');
+        }
+
+        const knownIds = new Set(mode === 'merge' ? existingIds : []);
+        const records = [];
+        const errors = [];
+        let skipped = 0;
+
+        rawRecords.forEach((raw, index) => {
+            let record;
+            try {
+                record = HistoryImport.normalizeRecord(raw);
+            } catch (error) {
+                errors.push({ index, error: error.message });
+                return;
+            }
+
+            if (knownIds.has(record.id)) {
+                skipped++;
+                return;
+            }
+            knownIds.add(record.id);
+            records.push(record);
+        });
+
+        return {
+            records,
+            summary: {
+                mode: mode,
+                added: records.length,
+                skipped: skipped,
+                rejected: errors.length,
+                errors: errors.slice(0, 20) // Enough to show what is wrong
+            }
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HistoryImport };
+}
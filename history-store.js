@@ -0,0 +1,148 @@
+// history-store.js - IndexedDB storage for Tomato Clock session history
+// Loaded by the service worker through importScripts()
+
+class HistoryStore {
+    constructor() {
+        this.dbName = 'tomato-clock';
+        this.dbVersion = 1;
+        this.storeName = 'history';
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        // Records are keyed by id and indexed by local day for range queries
+                        const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                        store.createIndex('date', 'date');
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+
+            let result;
+            try {
+                result = callback(tx.objectStore(this.storeName));
+            } catch (error) {
+                // e.g. a record without an id: undo what the callback already queued
+                tx.abort();
+                reject(error);
+            }
+        });
+    }
+
+    async add(record) {
+        await this.transaction('readwrite', store => {
+            store.put(record);
+        });
+    }
+
+    // Writes many records in one transaction; records with an existing id are replaced
+    async bulkPut(records) {
+        await this.transaction('readwrite', store => {
+            records.forEach(record => store.put(record));
+        });
+    }
+
+    // Clears the store and writes records in one transaction, so a failed
+    // write leaves the old history in place
+    async replaceAll(records) {
+        await this.transaction('readwrite', store => {
+            store.clear();
+            records.forEach(record => store.put(record));
+        });
+    }
+
+    getRangeKey(from, to) {
+        if (from && to) {
+            return IDBKeyRange.bound(from, to);
+        }
+        if (from) {
+            return IDBKeyRange.lowerBound(from);
+        }
+        if (to) {
+            return IDBKeyRange.upperBound(to);
+        }
+        return null;
+    }
+
+    // Calls onRecord for every record with from <= date <= to (YYYY-MM-DD, both
+    // optional), oldest first, without holding the whole history in memory
+    async iterate(from, to, onRecord) {
+        await this.transaction('readonly', store => {
+            const request = store.index('date').openCursor(this.getRangeKey(from, to));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    onRecord(cursor.value);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    async getRange(from, to) {
+        const records = [];
+        await this.iterate(from, to, record => records.push(record));
+        return records;
+    }
+
+    async getAll() {
+        return this.getRange(null, null);
+    }
+
+    async getAllIds() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .getAllKeys();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Rewrites every record through updateRecord; unchanged records are skipped
+    async updateAll(updateRecord) {
+        await this.transaction('readwrite', store => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    const updated = updateRecord(cursor.value);
+                    if (updated !== cursor.value) {
+                        cursor.update(updated);
+                    }
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    async clear() {
+        await this.transaction('readwrite', store => {
+            store.clear();
+        });
+    }
+}
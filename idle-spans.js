@@ -0,0 +1,41 @@
+// idle-spans.js - Time away from the computer during a Tomato Clock work session
+//
+// An idle span { start, end, discarded } is kept in the session with ISO
+// timestamps. It counts as focus unless the user discards it, and then the
+// part of it that was not paused already becomes a pause of its own.
+
+class IdleSpans {
+    // When the absence reported at now began, in ms. chrome.idle only reports
+    // "idle" after idleSeconds without input, so the span is dated back by that
+    // interval, but not before the timer was last started or resumed; "locked"
+    // is reported as soon as it happens.
+    static getSpanStart(session, state, now, idleSeconds) {
+        if (state === 'locked') {
+            return now;
+        }
+        const resumedAt = Math.max(
+            new Date(session.startedAt).getTime(),
+            ...session.pauses.map(pause => new Date(pause.end).getTime())
+        );
+        return Math.max(resumedAt, now - idleSeconds * 1000);
+    }
+
+    // The pause { start, end } in ms that discarding a closed span adds, or
+    // null when nothing is left. A pause that began during the span, e.g. when
+    // the timer was paused for the absence, cuts it short.
+    static getDiscardedPause(session, span) {
+        const start = new Date(span.start).getTime();
+        let end = new Date(span.end).getTime();
+        session.pauses.forEach(pause => {
+            const pauseStart = new Date(pause.start).getTime();
+            if (pauseStart >= start && pauseStart < end) {
+                end = pauseStart;
+            }
+        });
+        return end > start ? { start, end } : null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IdleSpans };
+}
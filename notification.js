@@ -0,0 +1,100 @@
+// notification.js - Notification page, also used as the break page
+// notification.html?message=... shows a message; ?mode=break shows the break
+// countdown with controls that message the service worker
+
+const BREAK_SUGGESTIONS = [
+    '站起来伸展一下身体',
+    '看看窗外远处 20 秒，放松眼睛',
+    '喝一杯水',
+    '闭上眼睛做几次深呼吸',
+    '起身走动一下',
+    '活动一下肩膀和脖子'
+];
+
+class BreakPage {
+    constructor() {
+        this.state = null;
+        
+        this.titleElement = document.querySelector('.title');
+        this.messageElement = document.getElementById('notificationMessage');
+        this.breakPanel = document.getElementById('breakPanel');
+        this.breakTime = document.getElementById('breakTime');
+        this.breakSuggestion = document.getElementById('breakSuggestion');
+        this.startBreakBtn = document.getElementById('startBreakBtn');
+        this.extendBreakBtn = document.getElementById('extendBreakBtn');
+        this.skipBreakBtn = document.getElementById('skipBreakBtn');
+        
+        this.breakPanel.hidden = false;
+        this.breakSuggestion.textContent = BREAK_SUGGESTIONS[Math.floor(Math.random() * BREAK_SUGGESTIONS.length)];
+        
+        this.startBreakBtn.addEventListener('click', () => this.sendCommand({ type: 'START_TIMER' }));
+        this.extendBreakBtn.addEventListener('click', () => this.sendCommand({ type: 'EXTEND_BREAK', minutes: 5 }));
+        this.skipBreakBtn.addEventListener('click', () => this.sendCommand({ type: 'SKIP_PHASE' }));
+        
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.type === 'TIMER_UPDATE') {
+                this.state = message.data;
+                this.render();
+            }
+        });
+        
+        this.loadState();
+        setInterval(() => this.render(), 1000);
+    }
+
+    async loadState() {
+        try {
+            this.state = await chrome.runtime.sendMessage({ type: 'GET_TIMER_STATE' });
+            this.render();
+        } catch (error) {
+            console.error('Failed to load timer state:', error);
+        }
+    }
+
+    async sendCommand(message) {
+        try {
+            const response = await chrome.runtime.sendMessage(message);
+            if (response && response.error) {
+                throw new Error(response.error);
+            }
+        } catch (error) {
+            console.error('Failed to send break command:', error);
+        }
+    }
+
+    render() {
+        if (!this.state) {
+            return;
+        }
+        
+        const isBreak = this.state.currentPhase !== 'work';
+        this.titleElement.textContent = this.state.currentPhase === 'long-break' ? '长休息' : '休息时间';
+        this.messageElement.textContent = isBreak ? '离开屏幕，休息一下吧' : '休息结束，回到工作吧！';
+        this.startBreakBtn.hidden = !isBreak || this.state.isRunning;
+        this.extendBreakBtn.hidden = !isBreak;
+        this.skipBreakBtn.hidden = !isBreak;
+        this.breakSuggestion.hidden = !isBreak;
+        
+        if (!isBreak) {
+            this.breakTime.textContent = '00:00';
+            return;
+        }
+        
+        const seconds = this.state.isRunning && this.state.endTime
+            ? Math.max(0, Math.ceil((this.state.endTime - Date.now()) / 1000))
+            : this.state.timeRemaining;
+        const minutes = Math.floor(seconds / 60);
+        this.breakTime.textContent = `${minutes.toString().padStart(2, '0')}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+}
+
+const urlParams = new URLSearchParams(window.location.search);
+if (urlParams.get('mode') === 'break') {
+    new BreakPage();
+} else {
+    // Get message from URL parameters
+    const message = urlParams.get('message');
+    if (message) {
+        document.getElementById('notificationMessage').textContent = message;
+    }
+}
@@ -0,0 +1,91 @@
+// offscreen.js - Audio playback for the Tomato Clock service worker
+// Service workers cannot play audio, so the worker opens this page as an
+// offscreen document and sends it messages with target 'offscreen'
+
+// Built-in sounds are synthesized, so the extension ships no audio files.
+// Each note: [frequency in Hz, start in s, duration in s, oscillator type]
+const BUILT_IN_SOUNDS = {
+    bell: [[880, 0, 1.5, 'sine'], [1760, 0, 0.8, 'sine']],
+    chime: [[523.25, 0, 0.6, 'sine'], [659.25, 0.18, 0.6, 'sine'], [783.99, 0.36, 1.0, 'sine']],
+    beep: [[800, 0, 0.15, 'square'], [800, 0.25, 0.15, 'square'], [800, 0.5, 0.15, 'square']],
+    digital: [[1200, 0, 0.08, 'triangle'], [1600, 0.1, 0.08, 'triangle'], [1200, 0.2, 0.08, 'triangle'], [1600, 0.3, 0.08, 'triangle']]
+};
+
+class OffscreenAudio {
+    constructor() {
+        this.audioContext = new AudioContext();
+        this.tickInterval = null;
+        this.currentAudio = null;
+        
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.target === 'offscreen') {
+                this.handleMessage(message);
+            }
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'PLAY_SOUND':
+                this.playSound(message.sound, message.volume, message.dataUrl);
+                break;
+            case 'START_TICKING':
+                this.startTicking(message.volume);
+                break;
+            case 'STOP_TICKING':
+                this.stopTicking();
+                break;
+        }
+    }
+
+    playSound(sound, volume = 0.7, dataUrl = null) {
+        if (dataUrl) {
+            // Uploaded sound, stored by the popup as a data URL
+            if (this.currentAudio) {
+                this.currentAudio.pause();
+            }
+            this.currentAudio = new Audio(dataUrl);
+            this.currentAudio.volume = Math.min(1, Math.max(0, volume));
+            this.currentAudio.play().catch(error => console.error('Failed to play custom sound:', error));
+            return;
+        }
+        
+        const notes = BUILT_IN_SOUNDS[sound] || BUILT_IN_SOUNDS.bell;
+        notes.forEach(([frequency, start, duration, type]) => {
+            this.playNote(frequency, start, duration, type, volume * 0.4);
+        });
+    }
+
+    playNote(frequency, start, duration, type, gain) {
+        const startTime = this.audioContext.currentTime + start;
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, startTime);
+        // exponentialRamp cannot reach 0, so fade to an inaudible level
+        gainNode.gain.setValueAtTime(Math.max(gain, 0.0001), startTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.0001, startTime + duration);
+        
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration);
+    }
+
+    startTicking(volume = 0.7) {
+        this.stopTicking();
+        this.tickInterval = setInterval(() => {
+            this.playNote(1000, 0, 0.03, 'square', volume * 0.08);
+        }, 1000);
+    }
+
+    stopTicking() {
+        if (this.tickInterval) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+    }
+}
+
+new OffscreenAudio();
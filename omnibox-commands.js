@@ -0,0 +1,88 @@
+// omnibox-commands.js - Parses "tomato <command>" input typed in the address bar
+//
+//   tomato start [minutes] [task type]   开始 25 编程
+//   tomato pause | skip | reset | stats  暂停 / 跳过 / 重置 / 统计
+
+const OMNIBOX_COMMANDS = [
+    { command: 'start', aliases: ['start', 's', '开始'], description: '开始计时，可指定分钟数和任务类型' },
+    { command: 'pause', aliases: ['pause', 'p', '暂停'], description: '暂停计时' },
+    { command: 'skip', aliases: ['skip', '跳过'], description: '跳过当前阶段' },
+    { command: 'reset', aliases: ['reset', '重置'], description: '重置计时器' },
+    { command: 'stats', aliases: ['stats', '统计'], description: '显示今日统计' }
+];
+
+const OMNIBOX_MAX_MINUTES = 180;
+
+class OmniboxCommands {
+    // Returns { command, minutes, category } or { error }; minutes and category
+    // are null when not given. Task types are matched case-insensitively.
+    static parse(text, categoryNames = []) {
+        const [word = '', ...args] = String(text || '').trim().split(/\s+/);
+        const entry = OMNIBOX_COMMANDS.find(item => item.aliases.includes(word.toLowerCase()));
+        if (!entry) {
+            return { error: word ? `未知命令：${word}` : '请输入命令' };
+        }
+        if (entry.command !== 'start') {
+            return args.length > 0
+                ? { error: `${word} 不需要参数` }
+                : { command: entry.command, minutes: null, category: null };
+        }
+
+        let minutes = null;
+        if (args.length > 0 && /^\d+$/.test(args[0])) {
+            minutes = parseInt(args.shift(), 10);
+            if (minutes < 1 || minutes > OMNIBOX_MAX_MINUTES) {
+                return { error: `分钟数需在 1 到 ${OMNIBOX_MAX_MINUTES} 之间` };
+            }
+        }
+
+        let category = null;
+        if (args.length > 0) {
+            const name = args.join(' ').toLowerCase();
+            category = categoryNames.find(categoryName => categoryName.toLowerCase() === name) || null;
+            if (!category) {
+                return { error: `未知任务类型：${args.join(' ')}` };
+            }
+        }
+        return { command: 'start', minutes, category };
+    }
+
+    // Suggestions for partially typed input: matching commands, and the task
+    // types once "start [minutes]" has been typed
+    static getSuggestions(text, categoryNames = []) {
+        const input = String(text || '').trimStart();
+        const [word = '', ...args] = input.split(/\s+/);
+        const lowerWord = word.toLowerCase();
+        const entry = OMNIBOX_COMMANDS.find(item => item.aliases.includes(lowerWord));
+
+        if (entry && entry.command === 'start' && /\s/.test(input)) {
+            const minutes = args.length > 0 && /^\d+$/.test(args[0]) ? args.shift() : '';
+            const partial = args.join(' ').toLowerCase();
+            const prefix = minutes ? `${word} ${minutes}` : word;
+            return categoryNames
+                .filter(name => name.toLowerCase().startsWith(partial))
+                .map(name => ({
+                    content: `${prefix} ${name}`,
+                    description: `开始${minutes ? ` ${minutes} 分钟的` : ''}「${name}」番茄`
+                }));
+        }
+
+        return OMNIBOX_COMMANDS
+            .filter(item => item.aliases.some(alias => alias.startsWith(lowerWord)))
+            .map(item => ({ content: item.command, description: `${item.command} - ${item.description}` }));
+    }
+
+    // Omnibox descriptions are XML, so user text has to be escaped
+    static escapeDescription(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OmniboxCommands, OMNIBOX_COMMANDS };
+}
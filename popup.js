@@ -1,23 +1,61 @@
 // popup.js - Frontend logic for Tomato Clock extension with analytics
 
+const MAX_CUSTOM_SOUND_BYTES = 1024 * 1024; // Uploaded sounds are kept in chrome.storage.local
+
 class TomatoTimer {
     constructor() {
         this.isRunning = false;
         this.currentPhase = 'work'; // 'work', 'short-break', 'long-break'
         this.currentCycle = 1;
         this.timeRemaining = 0;
+        this.phaseDuration = 0;
+        this.timeElapsed = 0; // Focused seconds of a flow session
+        this.session = null; // Work session in progress, from the service worker
+        this.taskType = null; // Task type of a work session without a task, from the service worker
+        this.pendingInterrupt = null; // 'skip' or 'reset' while asking for a reason
         this.currentTab = 'timer';
+        this.tasks = [];
+        this.activeTaskId = null;
+        this.categories = [];
+        this.presets = [];
+        this.scheduleBlocks = []; // Blocks being edited, saved with the schedule
         
         // Default durations in minutes
         this.settings = {
             workDuration: 25,
             shortBreakDuration: 5,
-            longBreakDuration: 15
+            longBreakDuration: 15,
+            longBreakInterval: 4, // 0 = never take a long break
+            timerMode: 'countdown', // 'countdown' or 'flow'
+            flowBreakRatio: 5, // Flow breaks last 1/N of the focused time
+            autoStartBreaks: false,
+            autoStartWork: false,
+            maxAutoPomodoros: 0, // 0 = no limit
+            dailyGoal: 0, // 0 = no goal
+            weekdayGoals: null, // Monday first; null = dailyGoal every day
+            weeklyGoal: 0,
+            breakPage: 'none', // 'none', 'tab' or 'window'
+            breakPageAutoClose: true,
+            workEndSound: 'bell',
+            breakEndSound: 'chime',
+            volume: 70, // 0-100
+            tickingSound: false,
+            persistentNotification: false,
+            activityTracking: false,
+            idleAction: 'off', // 'off', 'pause' or 'mark' time away from the computer
+            idleMinutes: 5,
+            activePresetId: 'classic' // null when the durations were edited by hand
         };
         
         this.initializeElements();
         this.loadSettings();
         this.loadTimerState();
+        this.loadTasks();
+        this.loadCategories();
+        this.loadPresets();
+        this.loadGoalProgress();
+        this.loadBlockingSettings();
+        this.loadSchedule();
         this.bindEvents();
         this.updateDisplay();
         
@@ -33,8 +71,10 @@ class TomatoTimer {
     initializeElements() {
         // Tab elements
         this.timerTab = document.getElementById('timerTab');
+        this.tasksTab = document.getElementById('tasksTab');
         this.analyticsTab = document.getElementById('analyticsTab');
         this.timerContent = document.getElementById('timerContent');
+        this.tasksContent = document.getElementById('tasksContent');
         this.analyticsContent = document.getElementById('analyticsContent');
         
         // Timer display elements
@@ -44,13 +84,40 @@ class TomatoTimer {
         this.timerDisplayContainer = document.querySelector('.timer-display');
         
         // Task selection
-        this.taskTypeSelect = document.getElementById('taskType');
+        this.activeTaskSelect = document.getElementById('activeTask');
         this.taskSelection = document.getElementById('taskSelection');
+        this.taskProgress = document.getElementById('taskProgress');
+        this.goalProgress = document.getElementById('goalProgress');
+        this.goalRingFill = document.getElementById('goalRingFill');
+        this.goalTodayText = document.getElementById('goalTodayText');
+        this.goalWeekText = document.getElementById('goalWeekText');
+        
+        // Task management
+        this.taskFormTitle = document.getElementById('taskFormTitle');
+        this.taskTitleInput = document.getElementById('taskTitle');
+        this.taskTypeSelect = document.getElementById('taskType');
+        this.taskEstimateInput = document.getElementById('taskEstimate');
+        this.saveTaskBtn = document.getElementById('saveTaskBtn');
+        this.cancelTaskBtn = document.getElementById('cancelTaskBtn');
+        this.taskList = document.getElementById('taskList');
+        this.showArchivedInput = document.getElementById('showArchivedTasks');
+        this.editingTaskId = null;
         
         // Control buttons
         this.startPauseBtn = document.getElementById('startPauseBtn');
         this.skipBtn = document.getElementById('skipBtn');
         this.resetBtn = document.getElementById('resetBtn');
+        this.finishFlowBtn = document.getElementById('finishFlowBtn');
+        this.subtractTimeBtn = document.getElementById('subtractTimeBtn');
+        this.addTimeBtn = document.getElementById('addTimeBtn');
+        
+        // Interruption reason prompt
+        this.interruptPanel = document.getElementById('interruptPanel');
+        this.interruptTitle = document.getElementById('interruptTitle');
+        this.interruptReasons = document.getElementById('interruptReasons');
+        this.interruptReasonInput = document.getElementById('interruptReason');
+        this.confirmInterruptBtn = document.getElementById('confirmInterruptBtn');
+        this.cancelInterruptBtn = document.getElementById('cancelInterruptBtn');
         
         // Settings
         this.settingsBtn = document.getElementById('settingsBtn');
@@ -58,44 +125,186 @@ class TomatoTimer {
         this.workDurationInput = document.getElementById('workDuration');
         this.shortBreakInput = document.getElementById('shortBreakDuration');
         this.longBreakInput = document.getElementById('longBreakDuration');
+        this.longBreakIntervalSelect = document.getElementById('longBreakInterval');
+        this.timerModeSelect = document.getElementById('timerMode');
+        this.flowBreakRatioSelect = document.getElementById('flowBreakRatio');
+        this.autoStartBreaksInput = document.getElementById('autoStartBreaks');
+        this.autoStartWorkInput = document.getElementById('autoStartWork');
+        this.maxAutoPomodorosInput = document.getElementById('maxAutoPomodoros');
+        this.workEndSoundSelect = document.getElementById('workEndSound');
+        this.breakEndSoundSelect = document.getElementById('breakEndSound');
+        this.volumeInput = document.getElementById('volume');
+        this.previewSoundBtn = document.getElementById('previewSoundBtn');
+        this.tickingSoundInput = document.getElementById('tickingSound');
+        this.customSoundName = document.getElementById('customSoundName');
+        this.uploadSoundBtn = document.getElementById('uploadSoundBtn');
+        this.customSoundInput = document.getElementById('customSoundFile');
+        this.breakPageSelect = document.getElementById('breakPage');
+        this.breakPageAutoCloseInput = document.getElementById('breakPageAutoClose');
+        this.persistentNotificationInput = document.getElementById('persistentNotification');
+        this.activityTrackingInput = document.getElementById('activityTracking');
+        this.idleActionSelect = document.getElementById('idleAction');
+        this.idleMinutesInput = document.getElementById('idleMinutes');
+        this.dailyGoalInput = document.getElementById('dailyGoal');
+        this.perWeekdayGoalsInput = document.getElementById('perWeekdayGoals');
+        this.weekdayGoals = document.getElementById('weekdayGoals');
+        this.weekdayGoalInputs = Array.from(this.weekdayGoals.querySelectorAll('input'));
+        this.weeklyGoalInput = document.getElementById('weeklyGoal');
         this.saveSettingsBtn = document.getElementById('saveSettingsBtn');
+        this.categoryList = document.getElementById('categoryList');
+        this.newCategoryNameInput = document.getElementById('newCategoryName');
+        this.newCategoryColorInput = document.getElementById('newCategoryColor');
+        this.addCategoryBtn = document.getElementById('addCategoryBtn');
+        this.presetBar = document.getElementById('presetBar');
+        this.presetList = document.getElementById('presetList');
+        this.newPresetNameInput = document.getElementById('newPresetName');
+        this.addPresetBtn = document.getElementById('addPresetBtn');
+        this.blockingEnabledInput = document.getElementById('blockingEnabled');
+        this.strictModeInput = document.getElementById('strictMode');
+        this.blocklistField = document.getElementById('blocklistField');
+        this.allowlistField = document.getElementById('allowlistField');
+        this.blocklistInput = document.getElementById('blocklist');
+        this.allowlistInput = document.getElementById('allowlist');
+        this.blockingLogHint = document.getElementById('blockingLogHint');
+        this.saveBlockingBtn = document.getElementById('saveBlockingBtn');
+        this.scheduleInfo = document.getElementById('scheduleInfo');
+        this.scheduleEnabledInput = document.getElementById('scheduleEnabled');
+        this.scheduleStopAfterBlockInput = document.getElementById('scheduleStopAfterBlock');
+        this.scheduleBlockList = document.getElementById('scheduleBlocks');
+        this.addScheduleBlockBtn = document.getElementById('addScheduleBlockBtn');
+        this.scheduleHolidaysInput = document.getElementById('scheduleHolidays');
+        this.saveScheduleBtn = document.getElementById('saveScheduleBtn');
         
         // Analytics elements
         this.todayPomodoros = document.getElementById('todayPomodoros');
         this.todayMinutes = document.getElementById('todayMinutes');
+        this.currentStreak = document.getElementById('currentStreak');
+        this.longestStreak = document.getElementById('longestStreak');
         this.totalPomodoros = document.getElementById('totalPomodoros');
         this.totalHours = document.getElementById('totalHours');
+        this.completionRate = document.getElementById('completionRate');
+        this.interruptedCount = document.getElementById('interruptedCount');
+        this.interruptReasonList = document.getElementById('interruptReasonList');
+        this.skippedBreaks = document.getElementById('skippedBreaks');
+        this.deviceList = document.getElementById('deviceList');
         this.weeklyChart = document.getElementById('weeklyChart');
         this.typeDistribution = document.getElementById('typeDistribution');
+        this.distributionModeSelect = document.getElementById('distributionMode');
+        this.focusQuality = document.getElementById('focusQuality');
+        this.heatmap = document.getElementById('heatmap');
+        this.daySessions = document.getElementById('daySessions');
+        this.analyticsRangeSelect = document.getElementById('analyticsRange');
+        this.customRange = document.getElementById('customRange');
+        this.rangeFromInput = document.getElementById('rangeFrom');
+        this.rangeToInput = document.getElementById('rangeTo');
+        this.rangeTitle = document.getElementById('rangeTitle');
+        this.hourGrid = document.getElementById('hourGrid');
+        this.peakList = document.getElementById('peakList');
+        this.exportFormatSelect = document.getElementById('exportFormat');
+        this.exportFromInput = document.getElementById('exportFrom');
+        this.exportToInput = document.getElementById('exportTo');
+        this.exportCategorySelect = document.getElementById('exportCategory');
         this.exportDataBtn = document.getElementById('exportDataBtn');
         this.clearDataBtn = document.getElementById('clearDataBtn');
+        this.importDataBtn = document.getElementById('importDataBtn');
+        this.importFileInput = document.getElementById('importFile');
+        this.importPanel = document.getElementById('importPanel');
+        this.importModeSelect = document.getElementById('importMode');
+        this.importSummary = document.getElementById('importSummary');
+        this.importErrors = document.getElementById('importErrors');
+        this.confirmImportBtn = document.getElementById('confirmImportBtn');
+        this.cancelImportBtn = document.getElementById('cancelImportBtn');
+        
+        // Records parsed from the chosen file, held until the import is confirmed
+        this.pendingImport = null;
     }
 
     bindEvents() {
         // Tab switching
         this.timerTab.addEventListener('click', () => this.switchTab('timer'));
+        this.tasksTab.addEventListener('click', () => this.switchTab('tasks'));
         this.analyticsTab.addEventListener('click', () => this.switchTab('analytics'));
         
         // Timer controls
         this.startPauseBtn.addEventListener('click', () => this.toggleTimer());
-        this.skipBtn.addEventListener('click', () => this.skipPhase());
-        this.resetBtn.addEventListener('click', () => this.resetTimer());
+        this.skipBtn.addEventListener('click', () => this.requestInterrupt('skip'));
+        this.resetBtn.addEventListener('click', () => this.requestInterrupt('reset'));
+        this.finishFlowBtn.addEventListener('click', () => this.finishFlow());
+        this.subtractTimeBtn.addEventListener('click', () => this.adjustTime(-5));
+        this.addTimeBtn.addEventListener('click', () => this.adjustTime(5));
+        this.confirmInterruptBtn.addEventListener('click', () => this.confirmInterrupt());
+        this.cancelInterruptBtn.addEventListener('click', () => this.cancelInterrupt());
+        this.interruptReasons.addEventListener('click', (event) => {
+            const reason = event.target.dataset && event.target.dataset.reason;
+            if (reason) {
+                this.interruptReasonInput.value = reason;
+            }
+        });
         this.settingsBtn.addEventListener('click', () => this.toggleSettings());
         this.saveSettingsBtn.addEventListener('click', () => this.saveSettings());
+        this.saveBlockingBtn.addEventListener('click', () => this.saveBlockingSettings());
+        this.addScheduleBlockBtn.addEventListener('click', () => this.addScheduleBlock());
+        this.saveScheduleBtn.addEventListener('click', () => this.saveSchedule());
+        this.previewSoundBtn.addEventListener('click', () => this.previewSound());
+        this.uploadSoundBtn.addEventListener('click', () => this.customSoundInput.click());
+        this.customSoundInput.addEventListener('change', () => this.uploadCustomSound());
+        this.strictModeInput.addEventListener('change', () => this.updateBlockingFields());
+        this.perWeekdayGoalsInput.addEventListener('change', () => {
+            // Start every weekday from the plain daily goal
+            if (this.perWeekdayGoalsInput.checked) {
+                this.weekdayGoalInputs.forEach(input => { input.value = this.dailyGoalInput.value || 0; });
+            }
+            this.weekdayGoals.classList.toggle('show', this.perWeekdayGoalsInput.checked);
+        });
+        this.addCategoryBtn.addEventListener('click', () => this.addCategory());
+        this.addPresetBtn.addEventListener('click', () => this.addPreset());
         
-        // Task type selection
-        this.taskTypeSelect.addEventListener('change', () => this.updateTaskType());
+        // Active task selection
+        this.activeTaskSelect.addEventListener('change', () => this.updateActiveTask());
+        
+        // Task management
+        this.saveTaskBtn.addEventListener('click', () => this.saveTask());
+        this.cancelTaskBtn.addEventListener('click', () => this.resetTaskForm());
+        this.showArchivedInput.addEventListener('change', () => this.renderTaskList());
         
         // Analytics controls
+        this.analyticsRangeSelect.addEventListener('change', () => {
+            this.customRange.classList.toggle('show', this.analyticsRangeSelect.value === 'custom');
+            this.updateAnalytics();
+        });
+        this.rangeFromInput.addEventListener('change', () => this.updateAnalytics());
+        this.rangeToInput.addEventListener('change', () => this.updateAnalytics());
+        this.distributionModeSelect.addEventListener('change', () => this.updateAnalytics());
+        
+        // One listener for all heatmap cells, which are rebuilt on every update
+        this.heatmap.addEventListener('click', (e) => {
+            if (e.target.dataset.date) {
+                this.showDaySessions(e.target.dataset.date);
+            }
+        });
+        
         this.exportDataBtn.addEventListener('click', () => this.exportData());
         this.clearDataBtn.addEventListener('click', () => this.clearData());
+        this.importDataBtn.addEventListener('click', () => this.importFileInput.click());
+        this.importFileInput.addEventListener('change', () => this.readImportFile());
+        this.importModeSelect.addEventListener('change', () => this.previewImport());
+        this.confirmImportBtn.addEventListener('click', () => this.confirmImport());
+        this.cancelImportBtn.addEventListener('click', () => this.closeImport());
         
         // Listen for messages from service worker
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             if (message.type === 'TIMER_UPDATE') {
                 this.handleTimerUpdate(message.data);
-            } else if (message.type === 'PLAY_SOUND') {
-                this.playNotificationSound();
+            } else if (message.type === 'TASKS_UPDATE') {
+                this.handleTasksUpdate(message.data);
+            } else if (message.type === 'CATEGORIES_UPDATE') {
+                this.handleCategoriesUpdate(message.data);
+            } else if (message.type === 'PRESETS_UPDATE') {
+                this.handlePresetsUpdate(message.data);
+            } else if (message.type === 'SETTINGS_UPDATE') {
+                this.handleSettingsUpdate(message.data);
+            } else if (message.type === 'GOAL_UPDATE') {
+                this.renderGoalProgress(message.data);
             }
         });
     }
@@ -105,10 +314,12 @@ class TomatoTimer {
         
         // Update tab buttons
         this.timerTab.classList.toggle('active', tab === 'timer');
+        this.tasksTab.classList.toggle('active', tab === 'tasks');
         this.analyticsTab.classList.toggle('active', tab === 'analytics');
         
         // Update tab content
         this.timerContent.classList.toggle('active', tab === 'timer');
+        this.tasksContent.classList.toggle('active', tab === 'tasks');
         this.analyticsContent.classList.toggle('active', tab === 'analytics');
         
         if (tab === 'analytics') {
@@ -116,59 +327,944 @@ class TomatoTimer {
         }
     }
 
-    async updateTaskType() {
-        const taskType = this.taskTypeSelect.value;
+    async updateActiveTask() {
+        const taskId = this.activeTaskSelect.value || null;
         try {
             await chrome.runtime.sendMessage({
-                type: 'SET_TASK_TYPE',
-                taskType: taskType
+                type: 'SET_ACTIVE_TASK',
+                taskId: taskId
+            });
+            this.activeTaskId = taskId;
+            this.updateTaskProgress();
+        } catch (error) {
+            console.error('Failed to update active task:', error);
+        }
+    }
+
+    // Category methods
+    async loadCategories() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_CATEGORIES' });
+            if (response && !response.error) {
+                this.handleCategoriesUpdate(response);
+            }
+        } catch (error) {
+            console.error('Failed to load categories:', error);
+        }
+    }
+
+    handleCategoriesUpdate(data) {
+        this.categories = data.categories || [];
+        this.renderCategoryOptions();
+        this.renderCategoryEditor();
+        if (this.currentTab === 'analytics') {
+            this.updateAnalytics();
+        }
+    }
+
+    getCategoryColor(name) {
+        const category = this.categories.find(c => c.name === name);
+        return category ? category.color : '#718096';
+    }
+
+    renderCategoryOptions() {
+        this.fillCategorySelect(this.taskTypeSelect);
+        this.fillCategorySelect(this.exportCategorySelect, '全部类型');
+    }
+
+    fillCategorySelect(select, allLabel = null) {
+        const selected = select.value;
+        select.innerHTML = '';
+        
+        if (allLabel) {
+            const allOption = document.createElement('option');
+            allOption.value = '';
+            allOption.textContent = allLabel;
+            select.appendChild(allOption);
+        }
+        
+        this.categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.name;
+            option.textContent = category.name;
+            select.appendChild(option);
+        });
+        
+        if (this.categories.some(c => c.name === selected)) {
+            select.value = selected;
+        }
+    }
+
+    renderCategoryEditor() {
+        this.categoryList.innerHTML = '';
+        
+        this.categories.forEach((category, index) => {
+            const row = document.createElement('div');
+            row.className = 'category-row';
+            
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.value = category.color;
+            colorInput.title = '修改颜色';
+            colorInput.addEventListener('change', () => {
+                this.saveCategories(this.categories.map((c, i) =>
+                    i === index ? { ...c, color: colorInput.value } : c
+                ));
+            });
+            
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.maxLength = 20;
+            nameInput.value = category.name;
+            nameInput.title = '修改名称会同步更新历史记录';
+            nameInput.addEventListener('change', () => {
+                this.renameCategory(category.name, nameInput.value);
+            });
+            
+            const nonWorkLabel = document.createElement('label');
+            nonWorkLabel.className = 'category-nonwork';
+            nonWorkLabel.title = '该类型番茄中的网站时间在专注质量中计为非工作';
+            const nonWorkInput = document.createElement('input');
+            nonWorkInput.type = 'checkbox';
+            nonWorkInput.checked = !!category.nonWork;
+            nonWorkInput.addEventListener('change', () => {
+                this.saveCategories(this.categories.map((c, i) =>
+                    i === index ? { ...c, nonWork: nonWorkInput.checked } : c
+                ));
+            });
+            nonWorkLabel.appendChild(nonWorkInput);
+            nonWorkLabel.appendChild(document.createTextNode('非工作'));
+            
+            const presetSelect = document.createElement('select');
+            presetSelect.className = 'category-preset';
+            presetSelect.title = '选择该类型的任务时使用的预设';
+            presetSelect.appendChild(new Option('无预设', ''));
+            this.presets.forEach(preset => presetSelect.appendChild(new Option(preset.name, preset.id)));
+            presetSelect.value = category.presetId || '';
+            presetSelect.addEventListener('change', () => {
+                this.saveCategories(this.categories.map((c, i) =>
+                    i === index ? { ...c, presetId: presetSelect.value || null } : c
+                ));
+            });
+            
+            const upAction = this.createTaskAction('↑', () => this.moveCategory(index, -1));
+            upAction.disabled = index === 0;
+            const downAction = this.createTaskAction('↓', () => this.moveCategory(index, 1));
+            downAction.disabled = index === this.categories.length - 1;
+            
+            const deleteAction = this.createTaskAction('删除', () => this.deleteCategory(category));
+            deleteAction.classList.add('danger');
+            deleteAction.disabled = this.categories.length <= 1;
+            
+            row.appendChild(colorInput);
+            row.appendChild(nameInput);
+            row.appendChild(nonWorkLabel);
+            row.appendChild(presetSelect);
+            row.appendChild(upAction);
+            row.appendChild(downAction);
+            row.appendChild(deleteAction);
+            this.categoryList.appendChild(row);
+        });
+    }
+
+    async saveCategories(categories) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'SAVE_CATEGORIES', categories });
+            if (response && response.error) {
+                throw new Error(response.error);
+            }
+        } catch (error) {
+            console.error('Failed to save categories:', error);
+            this.showNotification('保存类型失败');
+            this.renderCategoryEditor();
+        }
+    }
+
+    // Preset methods
+    async loadPresets() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_PRESETS' });
+            if (response && !response.error) {
+                this.handlePresetsUpdate(response);
+            }
+        } catch (error) {
+            console.error('Failed to load presets:', error);
+        }
+    }
+
+    handlePresetsUpdate(data) {
+        this.presets = data.presets || [];
+        this.renderPresetBar();
+        this.renderPresetEditor();
+        this.renderCategoryEditor();
+    }
+
+    handleSettingsUpdate(data) {
+        this.settings = { ...this.settings, ...data.settings };
+        this.updateSettingsInputs();
+        this.renderPresetBar();
+        this.updateDisplay();
+    }
+
+    // One-click preset buttons on the timer tab
+    renderPresetBar() {
+        this.presetBar.innerHTML = '';
+        this.presets.forEach(preset => {
+            const chip = document.createElement('button');
+            chip.className = 'preset-chip';
+            chip.classList.toggle('active', preset.id === this.settings.activePresetId);
+            chip.textContent = preset.name;
+            chip.title = `工作 ${preset.workDuration} 分钟，短休息 ${preset.shortBreakDuration} 分钟，长休息 ${preset.longBreakDuration} 分钟`;
+            chip.addEventListener('click', () => this.applyPreset(preset.id));
+            this.presetBar.appendChild(chip);
+        });
+    }
+
+    renderPresetEditor() {
+        this.presetList.innerHTML = '';
+        
+        this.presets.forEach((preset, index) => {
+            const row = document.createElement('div');
+            row.className = 'category-row preset-row';
+            
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.maxLength = 20;
+            nameInput.value = preset.name;
+            row.appendChild(nameInput);
+            
+            const fields = [
+                ['workDuration', '工作', 180],
+                ['shortBreakDuration', '短休息', 60],
+                ['longBreakDuration', '长休息', 120]
+            ];
+            const durationInputs = fields.map(([field, label, max]) => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = 1;
+                input.max = max;
+                input.value = preset[field];
+                input.title = `${label} (分钟)`;
+                row.appendChild(input);
+                return input;
+            });
+            
+            const update = () => {
+                const changes = { name: nameInput.value };
+                fields.forEach(([field], i) => { changes[field] = durationInputs[i].value; });
+                this.savePresets(this.presets.map((p, i) => i === index ? { ...p, ...changes } : p));
+            };
+            nameInput.addEventListener('change', update);
+            durationInputs.forEach(input => input.addEventListener('change', update));
+            
+            const deleteAction = this.createTaskAction('删除', () => this.deletePreset(preset));
+            deleteAction.classList.add('danger');
+            row.appendChild(deleteAction);
+            
+            this.presetList.appendChild(row);
+        });
+    }
+
+    async savePresets(presets) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'SAVE_PRESETS', presets });
+            if (response && response.error) {
+                throw new Error(response.error);
+            }
+        } catch (error) {
+            console.error('Failed to save presets:', error);
+            this.showNotification('保存预设失败');
+            this.renderPresetEditor();
+        }
+    }
+
+    // New presets start from the durations currently in the settings form
+    async addPreset() {
+        const name = this.newPresetNameInput.value.trim();
+        if (!name) {
+            this.showNotification('请输入预设名称');
+            return;
+        }
+        
+        await this.savePresets([
+            ...this.presets,
+            {
+                name,
+                workDuration: this.workDurationInput.value,
+                shortBreakDuration: this.shortBreakInput.value,
+                longBreakDuration: this.longBreakInput.value
+            }
+        ]);
+        this.newPresetNameInput.value = '';
+    }
+
+    deletePreset(preset) {
+        if (!confirm(`确定要删除预设"${preset.name}"吗？`)) {
+            return;
+        }
+        this.savePresets(this.presets.filter(p => p.id !== preset.id));
+    }
+
+    async applyPreset(presetId) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'APPLY_PRESET', presetId });
+            if (response && response.error) {
+                throw new Error(response.error);
+            }
+            this.handleSettingsUpdate(response);
+        } catch (error) {
+            console.error('Failed to apply preset:', error);
+            this.showNotification('切换预设失败');
+        }
+    }
+
+    // Preset whose durations match the given settings, if any
+    findPresetId(settings) {
+        const preset = TimerPresets.findMatching(this.presets, settings);
+        return preset ? preset.id : null;
+    }
+
+    async addCategory() {
+        const name = this.newCategoryNameInput.value.trim();
+        if (!name) {
+            this.showNotification('请输入类型名称');
+            return;
+        }
+        if (this.categories.some(c => c.name === name)) {
+            this.showNotification('该类型已存在');
+            return;
+        }
+        
+        await this.saveCategories([
+            ...this.categories,
+            { name, color: this.newCategoryColorInput.value }
+        ]);
+        this.newCategoryNameInput.value = '';
+    }
+
+    async renameCategory(oldName, newName) {
+        const name = newName.trim();
+        if (!name || name === oldName) {
+            this.renderCategoryEditor();
+            return;
+        }
+        if (this.categories.some(c => c.name === name)) {
+            this.showNotification('该类型已存在');
+            this.renderCategoryEditor();
+            return;
+        }
+        
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'RENAME_CATEGORY', oldName, newName: name });
+            if (response && response.error) {
+                throw new Error(response.error);
+            }
+            this.showNotification('类型已重命名');
+        } catch (error) {
+            console.error('Failed to rename category:', error);
+            this.showNotification('重命名失败');
+            this.renderCategoryEditor();
+        }
+    }
+
+    moveCategory(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.categories.length) {
+            return;
+        }
+        
+        const categories = [...this.categories];
+        [categories[index], categories[target]] = [categories[target], categories[index]];
+        this.saveCategories(categories);
+    }
+
+    deleteCategory(category) {
+        if (!confirm(`确定要删除类型"${category.name}"吗？已有的历史记录不会被修改。`)) {
+            return;
+        }
+        this.saveCategories(this.categories.filter(c => c.name !== category.name));
+    }
+
+    // Task methods
+    async loadTasks() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_TASKS' });
+            if (response && !response.error) {
+                this.handleTasksUpdate(response);
+            }
+        } catch (error) {
+            console.error('Failed to load tasks:', error);
+        }
+    }
+
+    handleTasksUpdate(data) {
+        this.tasks = data.tasks || [];
+        this.activeTaskId = data.activeTaskId || null;
+        this.renderActiveTaskOptions();
+        this.renderTaskList();
+        this.updateTaskProgress();
+    }
+
+    getTask(taskId) {
+        return this.tasks.find(task => task.id === taskId) || null;
+    }
+
+    formatTaskProgress(task) {
+        return `${task.completedPomodoros || 0} / ${task.estimatedPomodoros}`;
+    }
+
+    renderActiveTaskOptions() {
+        this.activeTaskSelect.innerHTML = '';
+        
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        this.activeTaskSelect.appendChild(noneOption);
+        this.updateNoTaskLabel();
+        
+        this.tasks
+            .filter(task => !task.archived && !task.completed)
+            .forEach(task => {
+                const option = document.createElement('option');
+                option.value = task.id;
+                option.textContent = `${task.title} (${this.formatTaskProgress(task)})`;
+                this.activeTaskSelect.appendChild(option);
+            });
+        
+        this.activeTaskSelect.value = this.getTask(this.activeTaskId) ? this.activeTaskId : '';
+    }
+
+    // Shows the task type a pomodoro without a task will be recorded as
+    updateNoTaskLabel() {
+        const noneOption = this.activeTaskSelect.options[0];
+        if (noneOption) {
+            noneOption.textContent = this.taskType ? `无任务（${this.taskType}）` : '无任务';
+        }
+    }
+
+    updateTaskProgress() {
+        const task = this.getTask(this.activeTaskId);
+        this.taskProgress.textContent = task
+            ? `${task.title} · 已完成 ${this.formatTaskProgress(task)}`
+            : '';
+    }
+
+    renderTaskList() {
+        const showArchived = this.showArchivedInput.checked;
+        const visibleTasks = this.tasks.filter(task => showArchived || !task.archived);
+        
+        this.taskList.innerHTML = '';
+        
+        if (visibleTasks.length === 0) {
+            this.taskList.innerHTML = '<div class="empty-hint">暂无任务</div>';
+            return;
+        }
+        
+        visibleTasks.forEach(task => {
+            const item = document.createElement('div');
+            item.className = 'task-item';
+            item.classList.toggle('completed', !!task.completed);
+            item.classList.toggle('archived', !!task.archived);
+            
+            const doneCheckbox = document.createElement('input');
+            doneCheckbox.type = 'checkbox';
+            doneCheckbox.checked = !!task.completed;
+            doneCheckbox.title = '标记完成';
+            doneCheckbox.addEventListener('change', () => {
+                this.updateTask(task, { completed: doneCheckbox.checked });
+            });
+            
+            // Titles are user input, so never inject them as HTML
+            const title = document.createElement('div');
+            title.className = 'task-title';
+            title.textContent = task.title;
+            title.title = `${task.title}（${task.type}）`;
+            
+            const meta = document.createElement('div');
+            meta.className = 'task-meta';
+            meta.textContent = this.formatTaskProgress(task);
+            
+            item.appendChild(doneCheckbox);
+            item.appendChild(title);
+            item.appendChild(meta);
+            if (task.url) {
+                const openAction = this.createTaskAction('打开', () => chrome.tabs.create({ url: task.url }));
+                openAction.title = task.url;
+                item.appendChild(openAction);
+            }
+            item.appendChild(this.createTaskAction('编辑', () => this.editTask(task)));
+            
+            if (task.archived) {
+                item.appendChild(this.createTaskAction('恢复', () => this.updateTask(task, { archived: false })));
+            } else if (task.completed) {
+                item.appendChild(this.createTaskAction('归档', () => this.updateTask(task, { archived: true })));
+            }
+            
+            const deleteAction = this.createTaskAction('删除', () => this.deleteTask(task));
+            deleteAction.classList.add('danger');
+            item.appendChild(deleteAction);
+            
+            this.taskList.appendChild(item);
+        });
+    }
+
+    createTaskAction(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'task-action';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    editTask(task) {
+        this.editingTaskId = task.id;
+        this.taskFormTitle.textContent = '编辑任务';
+        this.taskTitleInput.value = task.title;
+        this.taskTypeSelect.value = task.type;
+        this.taskEstimateInput.value = task.estimatedPomodoros;
+        this.taskTitleInput.focus();
+    }
+
+    resetTaskForm() {
+        this.editingTaskId = null;
+        this.taskFormTitle.textContent = '新建任务';
+        this.taskTitleInput.value = '';
+        this.taskEstimateInput.value = 1;
+    }
+
+    async saveTask() {
+        const title = this.taskTitleInput.value.trim();
+        if (!title) {
+            this.showNotification('请输入任务标题');
+            return;
+        }
+        
+        const existing = this.getTask(this.editingTaskId);
+        const task = {
+            ...(existing || {}),
+            title: title,
+            type: this.taskTypeSelect.value,
+            estimatedPomodoros: parseInt(this.taskEstimateInput.value, 10) || 1
+        };
+        
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'SAVE_TASK', task });
+            if (response && response.error) {
+                // e.g. the limit of synced tasks, which the user can act on
+                this.showNotification(response.error);
+                return;
+            }
+            this.resetTaskForm();
+            this.showNotification('任务已保存');
+        } catch (error) {
+            console.error('Failed to save task:', error);
+            this.showNotification('保存任务失败');
+        }
+    }
+
+    async updateTask(task, changes) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SAVE_TASK',
+                task: { ...task, ...changes }
+            });
+            if (response && response.error) {
+                this.showNotification(response.error);
+            }
+        } catch (error) {
+            console.error('Failed to update task:', error);
+        }
+    }
+
+    async deleteTask(task) {
+        if (!confirm(`确定要删除任务"${task.title}"吗？`)) {
+            return;
+        }
+        
+        try {
+            await chrome.runtime.sendMessage({ type: 'DELETE_TASK', taskId: task.id });
+            if (this.editingTaskId === task.id) {
+                this.resetTaskForm();
+            }
+        } catch (error) {
+            console.error('Failed to delete task:', error);
+        }
+    }
+
+    async loadSettings() {
+        try {
+            // Settings are merged from every device by the service worker
+            const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+            if (response && !response.error) {
+                this.settings = { ...this.settings, ...response.settings };
+                this.updateSettingsInputs();
+                this.updateDisplay(); // The timer mode decides how an idle work phase is shown
+            }
+            
+            const local = await chrome.storage.local.get(['customSound']);
+            if (local.customSound) {
+                this.customSoundName.textContent = local.customSound.name;
+            }
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+        }
+    }
+
+    // Plays the work-end sound at the volume currently on the slider
+    previewSound() {
+        chrome.runtime.sendMessage({
+            type: 'PREVIEW_SOUND',
+            sound: this.workEndSoundSelect.value,
+            volume: parseInt(this.volumeInput.value, 10)
+        });
+    }
+
+    async uploadCustomSound() {
+        const file = this.customSoundInput.files[0];
+        // Reset so choosing the same file again still fires change
+        this.customSoundInput.value = '';
+        if (!file) {
+            return;
+        }
+        if (!file.type.startsWith('audio/')) {
+            this.showNotification('请选择音频文件');
+            return;
+        }
+        if (file.size > MAX_CUSTOM_SOUND_BYTES) {
+            this.showNotification('音频文件不能超过 1 MB');
+            return;
+        }
+        
+        try {
+            const dataUrl = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(file);
+            });
+            await chrome.storage.local.set({ customSound: { name: file.name, dataUrl } });
+            
+            this.customSoundName.textContent = file.name;
+            this.workEndSoundSelect.value = 'custom';
+            this.showNotification('自定义声音已上传，保存设置后生效');
+        } catch (error) {
+            console.error('Failed to save custom sound:', error);
+            this.showNotification('上传声音失败');
+        }
+    }
+
+    async saveSettings() {
+        const newSettings = {
+            workDuration: parseInt(this.workDurationInput.value) || 25,
+            shortBreakDuration: parseInt(this.shortBreakInput.value) || 5,
+            longBreakDuration: parseInt(this.longBreakInput.value) || 15,
+            longBreakInterval: parseInt(this.longBreakIntervalSelect.value, 10) || 0,
+            timerMode: this.timerModeSelect.value,
+            flowBreakRatio: parseInt(this.flowBreakRatioSelect.value, 10) || 5,
+            autoStartBreaks: this.autoStartBreaksInput.checked,
+            autoStartWork: this.autoStartWorkInput.checked,
+            maxAutoPomodoros: Math.max(0, parseInt(this.maxAutoPomodorosInput.value, 10) || 0),
+            workEndSound: this.workEndSoundSelect.value,
+            breakEndSound: this.breakEndSoundSelect.value,
+            volume: parseInt(this.volumeInput.value, 10),
+            tickingSound: this.tickingSoundInput.checked,
+            breakPage: this.breakPageSelect.value,
+            breakPageAutoClose: this.breakPageAutoCloseInput.checked,
+            persistentNotification: this.persistentNotificationInput.checked,
+            activityTracking: this.activityTrackingInput.checked,
+            idleAction: this.idleActionSelect.value,
+            idleMinutes: Math.min(60, Math.max(1, parseInt(this.idleMinutesInput.value, 10) || 5)),
+            dailyGoal: Math.max(0, parseInt(this.dailyGoalInput.value, 10) || 0),
+            weekdayGoals: this.perWeekdayGoalsInput.checked
+                ? this.weekdayGoalInputs.map(input => Math.max(0, parseInt(input.value, 10) || 0))
+                : null,
+            weeklyGoal: Math.max(0, parseInt(this.weeklyGoalInput.value, 10) || 0)
+        };
+        newSettings.activePresetId = this.findPresetId(newSettings);
+        
+        if (newSettings.activityTracking && !(await this.requestSiteAccess())) {
+            this.showNotification('需要访问网站的权限才能记录网站使用');
+            return;
+        }
+
+        try {
+            // The service worker saves and syncs the settings
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_SETTINGS',
+                settings: newSettings
+            });
+            if (response && response.error) {
+                throw new Error(response.error);
+            }
+            this.settings = newSettings;
+            this.updateDisplay();
+            
+            this.toggleSettings();
+            this.showNotification('设置已保存');
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            this.showNotification('保存设置失败');
+        }
+    }
+
+    updateSettingsInputs() {
+        this.workDurationInput.value = this.settings.workDuration;
+        this.shortBreakInput.value = this.settings.shortBreakDuration;
+        this.longBreakInput.value = this.settings.longBreakDuration;
+        this.longBreakIntervalSelect.value = this.settings.longBreakInterval;
+        this.timerModeSelect.value = this.settings.timerMode || 'countdown';
+        this.flowBreakRatioSelect.value = this.settings.flowBreakRatio || 5;
+        this.autoStartBreaksInput.checked = !!this.settings.autoStartBreaks;
+        this.autoStartWorkInput.checked = !!this.settings.autoStartWork;
+        this.maxAutoPomodorosInput.value = this.settings.maxAutoPomodoros;
+        this.workEndSoundSelect.value = this.settings.workEndSound || 'bell';
+        this.breakEndSoundSelect.value = this.settings.breakEndSound || 'chime';
+        this.volumeInput.value = this.settings.volume;
+        this.tickingSoundInput.checked = !!this.settings.tickingSound;
+        this.breakPageSelect.value = this.settings.breakPage || 'none';
+        this.breakPageAutoCloseInput.checked = this.settings.breakPageAutoClose !== false;
+        this.persistentNotificationInput.checked = !!this.settings.persistentNotification;
+        this.activityTrackingInput.checked = !!this.settings.activityTracking;
+        this.idleActionSelect.value = this.settings.idleAction || 'off';
+        this.idleMinutesInput.value = this.settings.idleMinutes || 5;
+        this.dailyGoalInput.value = this.settings.dailyGoal || 0;
+        this.weeklyGoalInput.value = this.settings.weeklyGoal || 0;
+        
+        const weekdayGoals = this.settings.weekdayGoals;
+        this.perWeekdayGoalsInput.checked = Array.isArray(weekdayGoals);
+        this.weekdayGoals.classList.toggle('show', Array.isArray(weekdayGoals));
+        this.weekdayGoalInputs.forEach((input, weekday) => {
+            input.value = Array.isArray(weekdayGoals) ? weekdayGoals[weekday] || 0 : this.settings.dailyGoal || 0;
+        });
+    }
+
+    async loadGoalProgress() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_GOAL_PROGRESS' });
+            if (response && response.progress) {
+                this.renderGoalProgress(response.progress);
+            }
+        } catch (error) {
+            console.error('Failed to load goal progress:', error);
+        }
+    }
+
+    // The ring follows the daily goal, or the weekly one when no daily goal applies today
+    renderGoalProgress(progress) {
+        const hasDailyGoal = progress.dailyGoal > 0;
+        const hasWeeklyGoal = progress.weeklyGoal > 0;
+        this.goalProgress.classList.toggle('show', hasDailyGoal || hasWeeklyGoal);
+        
+        this.goalTodayText.textContent = hasDailyGoal ? `今日 ${progress.today} / ${progress.dailyGoal}` : `今日 ${progress.today}`;
+        this.goalWeekText.textContent = hasWeeklyGoal ? `本周 ${progress.week} / ${progress.weeklyGoal}` : '';
+        
+        const ratio = hasDailyGoal
+            ? progress.today / progress.dailyGoal
+            : progress.week / (progress.weeklyGoal || 1);
+        const circumference = 2 * Math.PI * 24;
+        this.goalRingFill.style.strokeDasharray = circumference;
+        this.goalRingFill.style.strokeDashoffset = circumference * (1 - Math.min(ratio, 1));
+        this.goalProgress.classList.toggle('reached', ratio >= 1);
+    }
+
+    async loadBlockingSettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_BLOCKING_SETTINGS' });
+            if (response && !response.error) {
+                this.renderBlockingSettings(response.settings);
+                this.blockingLogHint.textContent = response.pausesToday > 0
+                    ? `今天已暂停拦截 ${response.pausesToday} 次`
+                    : '';
+            }
+        } catch (error) {
+            console.error('Failed to load blocking settings:', error);
+        }
+    }
+
+    renderBlockingSettings(settings) {
+        this.blockingEnabledInput.checked = !!settings.enabled;
+        this.strictModeInput.checked = !!settings.strictMode;
+        this.blocklistInput.value = settings.blocklist.join('\n');
+        this.allowlistInput.value = settings.allowlist.join('\n');
+        this.updateBlockingFields();
+    }
+
+    // Redirecting sites and reading the address of the active tab need access
+    // to all sites, which is only asked for when one of them is switched on.
+    // Call it before awaiting anything else, while the click still counts as
+    // a user gesture; it resolves at once when access was granted before.
+    requestSiteAccess() {
+        return chrome.permissions.request({ origins: ['<all_urls>'] });
+    }
+
+    // Strict mode only uses the allowlist, so show the list that applies
+    updateBlockingFields() {
+        this.blocklistField.hidden = this.strictModeInput.checked;
+        this.allowlistField.hidden = !this.strictModeInput.checked;
+    }
+
+    async saveBlockingSettings() {
+        const toList = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+        
+        try {
+            if (this.blockingEnabledInput.checked && !(await this.requestSiteAccess())) {
+                this.showNotification('需要访问网站的权限才能拦截网站');
+                return;
+            }
+            
+            const response = await chrome.runtime.sendMessage({
+                type: 'SAVE_BLOCKING_SETTINGS',
+                settings: {
+                    enabled: this.blockingEnabledInput.checked,
+                    strictMode: this.strictModeInput.checked,
+                    blocklist: toList(this.blocklistInput.value),
+                    allowlist: toList(this.allowlistInput.value)
+                }
             });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+            
+            this.renderBlockingSettings(response.settings);
+            this.showNotification(response.invalid.length > 0
+                ? `已保存，忽略无效项：${response.invalid.join('、')}`
+                : '拦截设置已保存');
         } catch (error) {
-            console.error('Failed to update task type:', error);
+            console.error('Failed to save blocking settings:', error);
+            this.showNotification('保存拦截设置失败');
         }
     }
 
-    async loadSettings() {
+    // Schedule methods
+    async loadSchedule() {
         try {
-            const result = await chrome.storage.sync.get(['timerSettings']);
-            if (result.timerSettings) {
-                this.settings = { ...this.settings, ...result.timerSettings };
-                this.updateSettingsInputs();
+            const response = await chrome.runtime.sendMessage({ type: 'GET_SCHEDULE' });
+            if (response && !response.error) {
+                this.renderSchedule(response);
             }
         } catch (error) {
-            console.error('Failed to load settings:', error);
+            console.error('Failed to load schedule:', error);
         }
     }
 
-    async saveSettings() {
-        const newSettings = {
-            workDuration: parseInt(this.workDurationInput.value) || 25,
-            shortBreakDuration: parseInt(this.shortBreakInput.value) || 5,
-            longBreakDuration: parseInt(this.longBreakInput.value) || 15
-        };
+    renderSchedule(info) {
+        this.scheduleEnabledInput.checked = !!info.schedule.enabled;
+        this.scheduleStopAfterBlockInput.checked = info.schedule.stopAfterBlock !== false;
+        this.scheduleBlocks = info.schedule.blocks.map(block => ({ ...block, days: [...block.days] }));
+        this.scheduleHolidaysInput.value = info.schedule.holidays.join('\n');
+        this.renderScheduleBlocks();
+        this.renderScheduleInfo(info);
+    }
 
-        try {
-            await chrome.storage.sync.set({ timerSettings: newSettings });
-            this.settings = newSettings;
+    // Timer tab line for the block in progress, or else the next one
+    renderScheduleInfo(info) {
+        const time = timestamp => new Date(timestamp).toTimeString().slice(0, 5);
+        let text = '';
+        if (info.currentBlock) {
+            text = `计划专注时段进行中，至 ${time(info.currentBlock.end)}`;
+        } else if (info.nextBlock) {
+            const { start, end } = info.nextBlock;
+            text = `下一个计划时段：${this.formatScheduleDay(start)} ${time(start)}–${time(end)}`;
+        }
+        this.scheduleInfo.textContent = text;
+        this.scheduleInfo.classList.toggle('show', !!text);
+    }
+
+    // "今天", "明天" or e.g. "10月20日 周二"
+    formatScheduleDay(timestamp) {
+        const date = new Date(timestamp);
+        const dayStart = value => new Date(value).setHours(0, 0, 0, 0);
+        const daysAhead = Math.round((dayStart(date) - dayStart(Date.now())) / (24 * 60 * 60 * 1000));
+        if (daysAhead === 0) {
+            return '今天';
+        }
+        if (daysAhead === 1) {
+            return '明天';
+        }
+        const weekdays = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+        return `${date.getMonth() + 1}月${date.getDate()}日 ${weekdays[date.getDay()]}`;
+    }
+
+    renderScheduleBlocks() {
+        const weekdays = ['一', '二', '三', '四', '五', '六', '日'];
+        this.scheduleBlockList.innerHTML = '';
+        
+        this.scheduleBlocks.forEach((block, index) => {
+            const item = document.createElement('div');
+            item.className = 'schedule-block';
             
-            // Send updated settings to service worker
-            chrome.runtime.sendMessage({
-                type: 'UPDATE_SETTINGS',
-                settings: newSettings
+            // Weekdays are Monday first, as in the service worker
+            const days = document.createElement('div');
+            days.className = 'schedule-days';
+            weekdays.forEach((label, weekday) => {
+                const dayLabel = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = block.days.includes(weekday);
+                checkbox.addEventListener('change', () => {
+                    block.days = checkbox.checked
+                        ? [...block.days, weekday]
+                        : block.days.filter(day => day !== weekday);
+                });
+                dayLabel.append(label, checkbox);
+                days.appendChild(dayLabel);
             });
+            item.appendChild(days);
             
-            this.toggleSettings();
-            this.showNotification('设置已保存');
-        } catch (error) {
-            console.error('Failed to save settings:', error);
-            this.showNotification('保存设置失败');
-        }
+            const row = document.createElement('div');
+            row.className = 'category-row';
+            const createTimeInput = (field, title) => {
+                const input = document.createElement('input');
+                input.type = 'time';
+                input.value = block[field];
+                input.title = title;
+                input.addEventListener('change', () => { block[field] = input.value; });
+                return input;
+            };
+            const separator = document.createElement('span');
+            separator.textContent = '–';
+            row.appendChild(createTimeInput('start', '开始时间'));
+            row.appendChild(separator);
+            row.appendChild(createTimeInput('end', '结束时间'));
+            
+            const deleteAction = this.createTaskAction('删除', () => {
+                this.scheduleBlocks.splice(index, 1);
+                this.renderScheduleBlocks();
+            });
+            deleteAction.classList.add('danger');
+            row.appendChild(deleteAction);
+            item.appendChild(row);
+            
+            this.scheduleBlockList.appendChild(item);
+        });
     }
 
-    updateSettingsInputs() {
-        this.workDurationInput.value = this.settings.workDuration;
-        this.shortBreakInput.value = this.settings.shortBreakDuration;
-        this.longBreakInput.value = this.settings.longBreakDuration;
+    // New blocks start as weekday mornings
+    addScheduleBlock() {
+        this.scheduleBlocks.push({ days: [0, 1, 2, 3, 4], start: '09:00', end: '11:30' });
+        this.renderScheduleBlocks();
+    }
+
+    async saveSchedule() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SAVE_SCHEDULE',
+                schedule: {
+                    enabled: this.scheduleEnabledInput.checked,
+                    stopAfterBlock: this.scheduleStopAfterBlockInput.checked,
+                    blocks: this.scheduleBlocks,
+                    holidays: this.scheduleHolidaysInput.value.split('\n').map(line => line.trim()).filter(Boolean)
+                }
+            });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+            
+            this.renderSchedule(response);
+            this.showNotification('计划已保存');
+        } catch (error) {
+            console.error('Failed to save schedule:', error);
+            this.showNotification(`保存计划失败：${error.message}`);
+        }
     }
 
     toggleSettings() {
@@ -183,6 +1279,11 @@ class TomatoTimer {
                 this.currentPhase = response.currentPhase;
                 this.currentCycle = response.currentCycle;
                 this.timeRemaining = response.timeRemaining;
+                this.phaseDuration = response.phaseDuration;
+                this.timeElapsed = response.timeElapsed || 0;
+                this.session = response.session || null;
+                this.taskType = response.taskType || null;
+                this.updateNoTaskLabel();
             } else {
                 console.log('Failed to load timer state or service worker not ready');
                 this.resetTimerLocal();
@@ -202,6 +1303,9 @@ class TomatoTimer {
                 this.currentPhase = response.currentPhase;
                 this.currentCycle = response.currentCycle;
                 this.timeRemaining = response.timeRemaining;
+                this.phaseDuration = response.phaseDuration;
+                this.timeElapsed = response.timeElapsed || 0;
+                this.session = response.session || null;
                 
                 // Update display if state changed
                 if (wasRunning !== this.isRunning || this.timeRemaining !== response.timeRemaining) {
@@ -215,20 +1319,62 @@ class TomatoTimer {
     }
 
     handleTimerUpdate(data) {
+        if (data.activeTaskId !== undefined && data.activeTaskId !== this.activeTaskId) {
+            this.activeTaskId = data.activeTaskId;
+            this.activeTaskSelect.value = this.getTask(this.activeTaskId) ? this.activeTaskId : '';
+            this.updateTaskProgress();
+        }
         this.isRunning = data.isRunning;
         this.currentPhase = data.currentPhase;
         this.currentCycle = data.currentCycle;
         this.timeRemaining = data.timeRemaining;
+        this.phaseDuration = data.phaseDuration;
+        this.timeElapsed = data.timeElapsed || 0;
+        this.session = data.session || null;
+        if ((data.taskType || null) !== this.taskType) {
+            this.taskType = data.taskType || null;
+            this.updateNoTaskLabel();
+        }
         this.updateDisplay();
     }
 
+    // Work counts up in a flow session, and in flow mode before one has started
+    isCountingUp() {
+        if (this.currentPhase !== 'work') {
+            return false;
+        }
+        return this.session ? !!this.session.flow : this.settings.timerMode === 'flow';
+    }
+
+    async finishFlow() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'FINISH_FLOW' });
+            if (response && response.error) {
+                throw new Error(response.error);
+            }
+        } catch (error) {
+            console.error('Failed to finish flow session:', error);
+            this.showNotification('结束专注失败');
+        }
+    }
+
+    async adjustTime(minutes) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'ADJUST_TIME', minutes });
+            if (response && response.error) {
+                throw new Error(response.error);
+            }
+        } catch (error) {
+            console.error('Failed to adjust time:', error);
+            this.showNotification('调整时间失败');
+        }
+    }
+
     async toggleTimer() {
         try {
             if (this.isRunning) {
                 await chrome.runtime.sendMessage({ type: 'PAUSE_TIMER' });
             } else {
-                // Update task type before starting
-                await this.updateTaskType();
                 await chrome.runtime.sendMessage({ 
                     type: 'START_TIMER',
                     settings: this.settings
@@ -239,17 +1385,56 @@ class TomatoTimer {
         }
     }
 
-    async skipPhase() {
+    isWorkSessionStarted() {
+        if (this.isCountingUp()) {
+            // The remaining time of a flow session never moves
+            return !!this.session;
+        }
+        return this.currentPhase === 'work' &&
+            this.phaseDuration > 0 &&
+            this.timeRemaining < this.phaseDuration;
+    }
+
+    // Skipping or resetting a started work session asks for an optional reason first
+    requestInterrupt(action) {
+        if (!this.isWorkSessionStarted()) {
+            return action === 'skip' ? this.skipPhase() : this.resetTimer();
+        }
+        
+        this.pendingInterrupt = action;
+        this.interruptTitle.textContent = action === 'skip' ? '跳过原因（可选）' : '放弃原因（可选）';
+        this.interruptReasonInput.value = '';
+        this.interruptPanel.classList.add('show');
+    }
+
+    async confirmInterrupt() {
+        const action = this.pendingInterrupt;
+        const reason = this.interruptReasonInput.value.trim();
+        this.cancelInterrupt();
+        
+        if (action === 'skip') {
+            await this.skipPhase(reason);
+        } else if (action === 'reset') {
+            await this.resetTimer(reason);
+        }
+    }
+
+    cancelInterrupt() {
+        this.pendingInterrupt = null;
+        this.interruptPanel.classList.remove('show');
+    }
+
+    async skipPhase(reason = '') {
         try {
-            await chrome.runtime.sendMessage({ type: 'SKIP_PHASE' });
+            await chrome.runtime.sendMessage({ type: 'SKIP_PHASE', reason });
         } catch (error) {
             console.error('Failed to skip phase:', error);
         }
     }
 
-    async resetTimer() {
+    async resetTimer(reason = '') {
         try {
-            await chrome.runtime.sendMessage({ type: 'RESET_TIMER' });
+            await chrome.runtime.sendMessage({ type: 'RESET_TIMER', reason });
             this.resetTimerLocal();
         } catch (error) {
             console.error('Failed to reset timer:', error);
@@ -261,6 +1446,8 @@ class TomatoTimer {
         this.currentPhase = 'work';
         this.currentCycle = 1;
         this.timeRemaining = this.settings.workDuration * 60;
+        this.timeElapsed = 0;
+        this.session = null;
         this.isRunning = false;
         this.updateDisplay();
     }
@@ -273,11 +1460,13 @@ class TomatoTimer {
             'long-break': '长休息'
         };
         
-        this.statusText.textContent = statusTexts[this.currentPhase] || '工作';
+        const countingUp = this.isCountingUp();
+        this.statusText.textContent = countingUp ? '心流' : statusTexts[this.currentPhase] || '工作';
         
-        // Update time display
-        const minutes = Math.floor(this.timeRemaining / 60);
-        const seconds = this.timeRemaining % 60;
+        // Update time display: time left, or time focused so far when counting up
+        const shownSeconds = countingUp ? this.timeElapsed : this.timeRemaining;
+        const minutes = Math.floor(shownSeconds / 60);
+        const seconds = shownSeconds % 60;
         this.timeDisplay.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
         
         // Update cycle count
@@ -286,6 +1475,10 @@ class TomatoTimer {
         // Update start/pause button
         this.startPauseBtn.textContent = this.isRunning ? '暂停' : '开始';
         
+        // A flow session ends when the user says so, and has no time to adjust
+        this.finishFlowBtn.hidden = !(countingUp && this.session);
+        this.timerContent.classList.toggle('counting-up', countingUp);
+        
         // Update timer display class for styling
         this.timerDisplayContainer.className = `timer-display ${this.currentPhase}`;
         if (this.isRunning) {
@@ -302,36 +1495,216 @@ class TomatoTimer {
 
     // Analytics methods
     async updateAnalytics() {
+        const range = this.getAnalyticsRange();
+        if (range.from && range.to && range.from > range.to) {
+            this.showNotification('开始日期不能晚于结束日期');
+            return;
+        }
+        
         try {
-            const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY' });
-            const history = response.history || [];
+            // Only the last 7 days are loaded as records; the selected range and
+            // the heatmap year are aggregated by the service worker
+            const weekStart = new Date();
+            weekStart.setDate(weekStart.getDate() - 6);
+            const [historyResponse, summaryResponse, yearResponse, streaksResponse, devicesResponse] = await Promise.all([
+                chrome.runtime.sendMessage({
+                    type: 'GET_HISTORY',
+                    from: HistoryAnalysis.formatDate(weekStart),
+                    to: HistoryAnalysis.formatDate(new Date())
+                }),
+                chrome.runtime.sendMessage({ type: 'GET_HISTORY_SUMMARY', from: range.from, to: range.to }),
+                chrome.runtime.sendMessage({
+                    type: 'GET_HISTORY_SUMMARY',
+                    from: HistoryAnalysis.formatDate(this.getHeatmapStart(new Date()))
+                }),
+                chrome.runtime.sendMessage({ type: 'GET_STREAKS' }),
+                chrome.runtime.sendMessage({ type: 'GET_DEVICES' })
+            ]);
+            const history = historyResponse.history || [];
+            const summary = summaryResponse.summary;
+            const completed = history.filter(record => this.isCompletedRecord(record));
             
+            this.rangeTitle.textContent = range.title;
             this.renderTodayStats(history);
-            this.renderTotalStats(history);
-            this.renderWeeklyChart(history);
-            this.renderTypeDistribution(history);
+            this.renderStreaks(streaksResponse.streaks);
+            this.renderHeatmap(yearResponse.summary.days);
+            this.renderTotalStats(summary);
+            this.renderWeeklyChart(completed);
+            this.renderTypeDistribution(summary);
+            this.renderCompletionStats(summary);
+            this.renderFocusQuality(summary.focusQuality);
+            this.renderHourGrid(summary);
+            this.renderDevices(devicesResponse.devices || []);
         } catch (error) {
             console.error('Failed to update analytics:', error);
         }
     }
 
+    // Resolves the range picker to { from, to, title }; weeks start on Monday
+    getAnalyticsRange() {
+        const today = new Date();
+        const daysSinceMonday = (today.getDay() + 6) % 7;
+        const dayOffset = (days) => {
+            const date = new Date(today);
+            date.setDate(date.getDate() + days);
+            return HistoryAnalysis.formatDate(date);
+        };
+        const monthDay = (monthOffset, day) =>
+            HistoryAnalysis.formatDate(new Date(today.getFullYear(), today.getMonth() + monthOffset, day));
+        
+        switch (this.analyticsRangeSelect.value) {
+            case 'thisWeek':
+                return { from: dayOffset(-daysSinceMonday), to: dayOffset(0), title: '本周总计' };
+            case 'lastWeek':
+                return { from: dayOffset(-daysSinceMonday - 7), to: dayOffset(-daysSinceMonday - 1), title: '上周总计' };
+            case 'thisMonth':
+                return { from: monthDay(0, 1), to: dayOffset(0), title: '本月总计' };
+            case 'lastMonth':
+                // Day 0 of this month is the last day of the previous one
+                return { from: monthDay(-1, 1), to: monthDay(0, 0), title: '上月总计' };
+            case 'custom':
+                const from = this.rangeFromInput.value || null;
+                const to = this.rangeToInput.value || null;
+                return { from, to, title: `${from || '最早'} 至 ${to || '今天'}` };
+            default:
+                return { from: null, to: null, title: '历史总计' };
+        }
+    }
+
+    // The heatmap shows whole weeks, starting on the Monday a year ago
+    getHeatmapStart(today) {
+        const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 364);
+        start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+        return start;
+    }
+
+    renderHeatmap(days) {
+        const today = new Date();
+        const date = this.getHeatmapStart(today);
+        const maxValue = Math.max(...Object.values(days).map(day => day.pomodoros), 1);
+        
+        this.heatmap.innerHTML = '';
+        while (date <= today) {
+            const week = document.createElement('div');
+            week.className = 'heatmap-week';
+            
+            const monthLabel = document.createElement('div');
+            monthLabel.className = 'heatmap-month';
+            week.appendChild(monthLabel);
+            
+            for (let i = 0; i < 7; i++) {
+                const cell = document.createElement('div');
+                cell.className = 'heatmap-cell';
+                
+                if (date > today) {
+                    cell.classList.add('future');
+                } else {
+                    const dateStr = HistoryAnalysis.formatDate(date);
+                    const day = days[dateStr] || { pomodoros: 0, minutes: 0 };
+                    // Four intensity levels relative to the busiest day
+                    const level = Math.ceil((day.pomodoros / maxValue) * 4);
+                    cell.classList.add(`level-${level}`);
+                    cell.dataset.date = dateStr;
+                    cell.title = `${dateStr}：${day.pomodoros} 个番茄，${Math.round(day.minutes)} 分钟`;
+                }
+                
+                if (date.getDate() === 1) {
+                    monthLabel.textContent = `${date.getMonth() + 1}月`;
+                }
+                week.appendChild(cell);
+                date.setDate(date.getDate() + 1);
+            }
+            
+            this.heatmap.appendChild(week);
+        }
+        
+        // Start scrolled to the most recent weeks
+        this.heatmap.scrollLeft = this.heatmap.scrollWidth;
+    }
+
+    async showDaySessions(date) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY', from: date, to: date });
+            const records = response.history || [];
+            const outcomeLabels = { skipped: '已跳过', abandoned: '已放弃' };
+            const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            
+            this.heatmap.querySelectorAll('.selected').forEach(cell => cell.classList.remove('selected'));
+            const selectedCell = this.heatmap.querySelector(`[data-date="${date}"]`);
+            if (selectedCell) {
+                selectedCell.classList.add('selected');
+            }
+            
+            this.daySessions.innerHTML = '';
+            const title = document.createElement('div');
+            title.className = 'day-sessions-title';
+            title.textContent = `${date} 的记录`;
+            this.daySessions.appendChild(title);
+            
+            if (records.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'empty-hint';
+                empty.textContent = '当天没有记录';
+                this.daySessions.appendChild(empty);
+                return;
+            }
+            
+            records
+                .sort((a, b) => String(a.startTime).localeCompare(String(b.startTime)))
+                .forEach(record => {
+                    const item = document.createElement('div');
+                    item.className = 'type-item';
+                    
+                    const time = document.createElement('div');
+                    time.className = 'type-value';
+                    time.textContent = `${formatTime(record.startTime)}–${formatTime(record.endTime)}`;
+                    
+                    // Task titles are user input
+                    const label = document.createElement('div');
+                    label.className = 'type-label';
+                    label.textContent = this.getRecordTitle(record);
+                    
+                    const value = document.createElement('div');
+                    value.className = 'type-value';
+                    const outcome = outcomeLabels[record.outcome];
+                    value.textContent = `${Math.round(record.duration)} 分钟${outcome ? ` · ${outcome}` : ''}`;
+                    
+                    item.appendChild(time);
+                    item.appendChild(label);
+                    item.appendChild(value);
+                    this.daySessions.appendChild(item);
+                });
+        } catch (error) {
+            console.error('Failed to load day sessions:', error);
+        }
+    }
+
+    // Records written before outcomes were tracked were always completed
+    isCompletedRecord(record) {
+        return !record.outcome || record.outcome === 'completed';
+    }
+
     renderTodayStats(history) {
-        const today = new Date().toISOString().split('T')[0];
+        const today = HistoryAnalysis.formatDate(new Date());
         const todayRecords = history.filter(record => record.date === today);
         
-        const todayCount = todayRecords.length;
+        // Pomodoros only count completed sessions, minutes include interrupted ones
+        const todayCount = todayRecords.filter(record => this.isCompletedRecord(record)).length;
         const todayMinutes = todayRecords.reduce((sum, record) => sum + record.duration, 0);
         
         this.todayPomodoros.textContent = todayCount;
-        this.todayMinutes.textContent = todayMinutes;
+        this.todayMinutes.textContent = Math.round(todayMinutes);
+    }
+
+    renderStreaks(streaks) {
+        this.currentStreak.textContent = streaks.current;
+        this.longestStreak.textContent = streaks.longest;
     }
 
-    renderTotalStats(history) {
-        const totalCount = history.length;
-        const totalMinutes = history.reduce((sum, record) => sum + record.duration, 0);
-        const totalHours = Math.round(totalMinutes / 60 * 10) / 10;
+    renderTotalStats(summary) {
+        const totalHours = Math.round(summary.totalMinutes / 60 * 10) / 10;
         
-        this.totalPomodoros.textContent = totalCount;
+        this.totalPomodoros.textContent = summary.completedCount;
         this.totalHours.textContent = totalHours;
     }
 
@@ -344,7 +1717,7 @@ class TomatoTimer {
         for (let i = 6; i >= 0; i--) {
             const date = new Date(today);
             date.setDate(date.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
+            const dateStr = HistoryAnalysis.formatDate(date);
             const dayRecords = history.filter(record => record.date === dateStr);
             
             weekData.push({
@@ -381,68 +1754,255 @@ class TomatoTimer {
         });
     }
 
-    renderTypeDistribution(history) {
-        const typeCount = {};
-        const typeColors = {
-            '工作': '#667eea',
-            '学习': '#38a169',
-            '创意': '#ed8936',
-            '阅读': '#3182ce',
-            '编程': '#805ad5',
-            '其他': '#718096'
-        };
-        
-        // Count records by type
-        history.forEach(record => {
-            const type = record.type || '工作';
-            typeCount[type] = (typeCount[type] || 0) + 1;
-        });
-        
-        const total = history.length || 1;
-        const sortedTypes = Object.entries(typeCount)
+    renderTypeDistribution(summary) {
+        // Only pomodoros started from a page have a site, so site shares are
+        // still of all completed pomodoros
+        const byDomain = this.distributionModeSelect.value === 'domain';
+        const total = summary.completedCount || 1;
+        const sortedTypes = Object.entries(byDomain ? summary.domainCount || {} : summary.typeCount)
             .sort(([,a], [,b]) => b - a)
             .slice(0, 6); // Show top 6 types
         
         this.typeDistribution.innerHTML = '';
         
         if (sortedTypes.length === 0) {
-            this.typeDistribution.innerHTML = '<div style="text-align: center; color: #718096; font-size: 14px;">暂无数据</div>';
+            this.typeDistribution.innerHTML = `<div style="text-align: center; color: #718096; font-size: 14px;">${byDomain ? '暂无从网页开始的番茄' : '暂无数据'}</div>`;
             return;
         }
         
         sortedTypes.forEach(([type, count]) => {
             const percentage = Math.round((count / total) * 100);
-            const color = typeColors[type] || '#718096';
+            const color = byDomain ? '#667eea' : this.getCategoryColor(type);
+            
+            // Category names are user input; createShareRow never uses innerHTML
+            this.typeDistribution.appendChild(this.createShareRow(type, count, percentage, color));
+        });
+    }
+
+    renderCompletionStats(summary) {
+        const rate = summary.sessionCount > 0
+            ? Math.round((summary.completedCount / summary.sessionCount) * 100)
+            : 0;
+        
+        this.completionRate.textContent = `${rate}%`;
+        this.interruptedCount.textContent = summary.interruptedCount;
+        this.skippedBreaks.textContent = summary.skippedBreaks > 0 ? `跳过休息 ${summary.skippedBreaks} 次` : '';
+        
+        const topReasons = Object.entries(summary.reasonCount)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, 3); // Show the 3 most common reasons
+        
+        this.interruptReasonList.innerHTML = '';
+        topReasons.forEach(([reason, count]) => {
+            const item = document.createElement('div');
+            item.className = 'type-item';
+            
+            const label = document.createElement('div');
+            label.className = 'type-label';
+            label.textContent = reason || '未填写原因';
+            
+            const value = document.createElement('div');
+            value.className = 'type-value';
+            value.textContent = `${count} 次`;
+            
+            item.appendChild(label);
+            item.appendChild(value);
+            this.interruptReasonList.appendChild(item);
+        });
+    }
+
+    // Where tracked work time went: focused, on blocked sites or in non-work
+    // task types, followed by the sites with the most time
+    renderFocusQuality(quality) {
+        this.focusQuality.innerHTML = '';
+        
+        if (!quality || quality.totalSeconds === 0) {
+            const hint = document.createElement('div');
+            hint.className = 'empty-hint';
+            hint.textContent = '在设置中开启"记录工作时的网站使用"后，这里会显示工作时间花在了哪些网站';
+            this.focusQuality.appendChild(hint);
+            return;
+        }
+        
+        const toMinutes = seconds => `${Math.round(seconds / 60)} 分钟`;
+        const share = seconds => Math.round((seconds / quality.totalSeconds) * 100);
+        [
+            ['专注', quality.focusedSeconds, '#38a169'],
+            ['拦截列表中的网站', quality.blockedSeconds, '#e53e3e'],
+            ['非工作类型', quality.nonWorkSeconds, '#ed8936']
+        ].forEach(([label, seconds, color]) => {
+            this.focusQuality.appendChild(this.createShareRow(label, `${toMinutes(seconds)} · ${share(seconds)}%`, share(seconds), color));
+        });
+        
+        const heading = document.createElement('div');
+        heading.className = 'focus-sites-title';
+        heading.textContent = '用时最多的网站';
+        this.focusQuality.appendChild(heading);
+        
+        Object.entries(quality.domains)
+            .sort(([,a], [,b]) => b.seconds - a.seconds)
+            .slice(0, 5)
+            .forEach(([domain, entry]) => {
+                const label = domain || 'Chrome 之外 / 非网页';
+                const color = entry.blocked ? '#e53e3e' : '#667eea';
+                this.focusQuality.appendChild(this.createShareRow(label, toMinutes(entry.seconds), share(entry.seconds), color));
+            });
+    }
+
+    // Row with a colour swatch, label, value and a bar filled to percentage
+    createShareRow(labelText, valueText, percentage, color) {
+        const item = document.createElement('div');
+        item.className = 'type-item';
+        
+        const swatch = document.createElement('div');
+        swatch.className = 'type-color';
+        swatch.style.background = color;
+        
+        const label = document.createElement('div');
+        label.className = 'type-label';
+        label.textContent = labelText;
+        
+        const value = document.createElement('div');
+        value.className = 'type-value';
+        value.textContent = valueText;
+        
+        const bar = document.createElement('div');
+        bar.className = 'type-bar';
+        const barFill = document.createElement('div');
+        barFill.className = 'type-bar-fill';
+        barFill.style.width = `${percentage}%`;
+        barFill.style.background = color;
+        bar.appendChild(barFill);
+        
+        item.appendChild(swatch);
+        item.appendChild(label);
+        item.appendChild(value);
+        item.appendChild(bar);
+        return item;
+    }
+
+    renderHourGrid(summary) {
+        const weekdays = ['一', '二', '三', '四', '五', '六', '日'];
+        const maxValue = Math.max(...summary.hourGrid.flat(), 1);
+        
+        this.hourGrid.innerHTML = '';
+        summary.hourGrid.forEach((row, weekday) => {
+            const rowElement = document.createElement('div');
+            rowElement.className = 'hour-grid-row';
+            
+            const label = document.createElement('div');
+            label.className = 'hour-grid-label';
+            label.textContent = weekdays[weekday];
+            rowElement.appendChild(label);
+            
+            row.forEach((count, hour) => {
+                const cell = document.createElement('div');
+                cell.className = `heatmap-cell level-${Math.ceil((count / maxValue) * 4)}`;
+                cell.title = `周${weekdays[weekday]} ${hour}:00–${hour + 1}:00：${count} 个番茄`;
+                rowElement.appendChild(cell);
+            });
             
+            this.hourGrid.appendChild(rowElement);
+        });
+        
+        // Hour scale under the grid
+        const scale = document.createElement('div');
+        scale.className = 'hour-grid-row hour-grid-scale';
+        scale.appendChild(document.createElement('div'));
+        [0, 6, 12, 18].forEach(hour => {
+            const mark = document.createElement('div');
+            mark.textContent = hour;
+            scale.appendChild(mark);
+        });
+        this.hourGrid.appendChild(scale);
+        
+        this.peakList.innerHTML = '';
+        if (summary.peakWindows.length === 0) {
+            this.peakList.innerHTML = '<div class="empty-hint">暂无数据</div>';
+            return;
+        }
+        
+        summary.peakWindows.forEach(peak => {
+            const item = document.createElement('div');
+            item.className = 'peak-item';
+            item.textContent = `${peak.share}% 的番茄在 ${peak.startHour}:00–${peak.endHour}:00 之间开始`;
+            this.peakList.appendChild(item);
+        });
+        
+        if (summary.peakWeekday) {
+            const item = document.createElement('div');
+            item.className = 'peak-item';
+            item.textContent = `${summary.peakWeekday.label}最专注，占 ${summary.peakWeekday.share}%`;
+            this.peakList.appendChild(item);
+        }
+    }
+
+    renderDevices(devices) {
+        this.deviceList.innerHTML = '';
+        
+        if (devices.length === 0) {
+            this.deviceList.innerHTML = '<div class="empty-hint">暂无同步数据</div>';
+            return;
+        }
+        
+        devices.forEach(device => {
             const item = document.createElement('div');
             item.className = 'type-item';
             
-            item.innerHTML = `
-                <div class="type-color" style="background: ${color}"></div>
-                <div class="type-label">${type}</div>
-                <div class="type-value">${count}</div>
-                <div class="type-bar">
-                    <div class="type-bar-fill" style="width: ${percentage}%; background: ${color}"></div>
-                </div>
-            `;
+            const label = document.createElement('div');
+            label.className = 'type-label';
+            label.textContent = device.isCurrent ? `${device.name}（本机）` : device.name;
+            if (device.lastSeen) {
+                label.title = `最近活跃：${HistoryAnalysis.formatDate(new Date(device.lastSeen))}`;
+            }
+            
+            const value = document.createElement('div');
+            value.className = 'type-value';
+            value.textContent = `${device.pomodoros} 个 · ${Math.round(device.minutes)} 分钟`;
             
-            this.typeDistribution.appendChild(item);
+            item.appendChild(label);
+            item.appendChild(value);
+            this.deviceList.appendChild(item);
         });
     }
 
     async exportData() {
+        const from = this.exportFromInput.value || null;
+        const to = this.exportToInput.value || null;
+        if (from && to && from > to) {
+            this.showNotification('开始日期不能晚于结束日期');
+            return;
+        }
+        
         try {
-            const response = await chrome.runtime.sendMessage({ type: 'EXPORT_HISTORY' });
+            const response = await chrome.runtime.sendMessage({
+                type: 'EXPORT_HISTORY',
+                from: from,
+                to: to,
+                category: this.exportCategorySelect.value || null
+            });
             const data = response.data || [];
             
-            const blob = new Blob([JSON.stringify(data, null, 2)], { 
-                type: 'application/json' 
+            if (data.length === 0) {
+                this.showNotification('所选范围内没有记录');
+                return;
+            }
+            
+            const exportFormats = {
+                json: { extension: 'json', mimeType: 'application/json', build: () => JSON.stringify(data, null, 2) },
+                csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8', build: () => HistoryFiles.buildCsv(data, record => this.getRecordTitle(record)) },
+                ics: { extension: 'ics', mimeType: 'text/calendar;charset=utf-8', build: () => HistoryFiles.buildIcs(data, record => this.getRecordTitle(record)) }
+            };
+            const format = exportFormats[this.exportFormatSelect.value] || exportFormats.json;
+            
+            const blob = new Blob([format.build()], { 
+                type: format.mimeType 
             });
             
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = `tomato-clock-history-${new Date().toISOString().split('T')[0]}.json`;
+            a.download = `tomato-clock-history-${HistoryAnalysis.formatDate(new Date())}.${format.extension}`;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
@@ -455,6 +2015,128 @@ class TomatoTimer {
         }
     }
 
+    getRecordTitle(record) {
+        const task = record.taskId ? this.getTask(record.taskId) : null;
+        return task ? task.title : (record.type || '工作');
+    }
+
+    async readImportFile() {
+        const file = this.importFileInput.files[0];
+        // Reset so choosing the same file again still fires change
+        this.importFileInput.value = '';
+        if (!file) {
+            return;
+        }
+        
+        try {
+            const text = await file.text();
+            let records;
+            if (file.name.toLowerCase().endsWith('.csv')) {
+                records = HistoryFiles.parseHistoryCsv(text);
+            } else {
+                const data = JSON.parse(text);
+                // Accept a bare array (our export) or an object wrapping it
+                records = Array.isArray(data) ? data : data && data.history;
+            }
+            
+            if (!Array.isArray(records) || records.length === 0) {
+                this.showNotification('文件中没有可导入的记录');
+                return;
+            }
+            
+            this.pendingImport = records;
+            this.importModeSelect.value = 'merge';
+            await this.previewImport();
+        } catch (error) {
+            console.error('Failed to read import file:', error);
+            this.showNotification('无法读取文件，请选择导出的 JSON 或 CSV');
+        }
+    }
+
+    // Validates the pending records without writing and shows what would happen
+    async previewImport() {
+        if (!this.pendingImport) {
+            return;
+        }
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'IMPORT_HISTORY',
+                records: this.pendingImport,
+                mode: this.importModeSelect.value,
+                dryRun: true
+            });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+            
+            this.renderImportSummary(response.summary);
+            this.importPanel.classList.add('show');
+        } catch (error) {
+            console.error('Failed to preview import:', error);
+            this.showNotification('导入预检失败');
+            this.closeImport();
+        }
+    }
+
+    renderImportSummary(summary) {
+        const lines = [
+            `将导入 ${summary.added} 条记录`,
+            `跳过重复 ${summary.skipped} 条`,
+            `无效 ${summary.rejected} 条`
+        ];
+        if (summary.mode === 'replace') {
+            lines.push('现有历史记录将被全部删除');
+        }
+        this.importSummary.textContent = lines.join('，');
+        
+        this.importErrors.innerHTML = '';
+        summary.errors.forEach(({ index, error }) => {
+            const item = document.createElement('div');
+            item.textContent = `第 ${index + 1} 条：${error}`;
+            this.importErrors.appendChild(item);
+        });
+        if (summary.rejected > summary.errors.length) {
+            const more = document.createElement('div');
+            more.textContent = `…另有 ${summary.rejected - summary.errors.length} 条无效记录`;
+            this.importErrors.appendChild(more);
+        }
+        
+        this.confirmImportBtn.disabled = summary.added === 0;
+    }
+
+    async confirmImport() {
+        if (!this.pendingImport) {
+            return;
+        }
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'IMPORT_HISTORY',
+                records: this.pendingImport,
+                mode: this.importModeSelect.value,
+                dryRun: false
+            });
+            if (response.error) {
+                throw new Error(response.error);
+            }
+            
+            this.closeImport();
+            this.updateAnalytics();
+            this.showNotification(`已导入 ${response.summary.added} 条记录`);
+        } catch (error) {
+            console.error('Failed to import data:', error);
+            this.showNotification('导入失败');
+        }
+    }
+
+    closeImport() {
+        this.pendingImport = null;
+        this.importPanel.classList.remove('show');
+        this.importSummary.textContent = '';
+        this.importErrors.innerHTML = '';
+    }
+
     async clearData() {
         if (confirm('确定要清除所有历史记录吗？此操作不可恢复。')) {
             try {
@@ -493,33 +2175,6 @@ class TomatoTimer {
         }, 2000);
     }
 
-    playNotificationSound() {
-        try {
-            // Create a simple notification sound using Web Audio API
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Create a simple beep
-            const oscillator = audioContext.createOscillator();
-            const gainNode = audioContext.createGain();
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
-            
-            oscillator.frequency.setValueAtTime(800, audioContext.currentTime);
-            gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.5);
-            
-            oscillator.start(audioContext.currentTime);
-            oscillator.stop(audioContext.currentTime + 0.5);
-        } catch (error) {
-            console.log('Audio playback not available:', error);
-            // Fallback: Try to play a simple system beep
-            if ('vibrate' in navigator) {
-                navigator.vibrate(200);
-            }
-        }
-    }
-
     destroy() {
         if (this.checkInterval) {
             clearInterval(this.checkInterval);
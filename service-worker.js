@@ -1,5 +1,29 @@
 // service-worker.js - Background timer management for Tomato Clock
 
+importScripts('history-store.js', 'sync-service.js', 'history-analysis.js', 'site-blocker.js', 'omnibox-commands.js', 'work-schedule.js', 'timer-phases.js', 'timer-presets.js', 'idle-spans.js', 'history-import.js');
+
+// Built-in task categories, used until the user edits the list
+const DEFAULT_CATEGORIES = [
+    { name: '工作', color: '#667eea' },
+    { name: '学习', color: '#38a169' },
+    { name: '创意', color: '#ed8936' },
+    { name: '阅读', color: '#3182ce' },
+    { name: '编程', color: '#805ad5' },
+    { name: '其他', color: '#718096' }
+];
+
+const NOTIFICATION_ICON_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAYAAABzenr0AAAACXBIWXMAAA7EAAAOxAGVKw4bAAAF8klEQVRYhbWXe1BUVRzHP/fe3QUWFpYHyEtAQVFBHsrLR2qlqWnajBMz2mhlNo6NjdNYNs1Y05jWlP2RM7VN5TRZ6dholmlampXvQhTkqbwfAi67sOwuy+6995f3chdYQLLpN3PmnnN+53zP9/f4nXt+OujDh1+iqjA7HlJOQXIKiEhCG0gAEUi5A7GCYgGdDUa+gYkzp7g2YWqaO7+I+jcQRl5Y88/r8IfV8M7NFTZ8VEJDVjYd23NojxMxhiJvKmYNDwcjT/eBGbOGf6Hw7lBjvh7xANy0BFUl7O9JpWN7Nk2Fhdi+fhXlnftg3U3ICGDZGvgiiGWR8FwQrJsCNhvEJsL9W4BfO7WkJhg7GWZn0z5qlOJfkkSztIxPn0jjhTR4y/8+WJsOKUnw5mzk1qdRO2HQgNJKtElh1BCLELPn0WGxqJ3b42gV0sxmj7WfWslfFJQ7f0s6fJUI6hUZZNyGWCZ9A7PnNdXXjR1wLdPdhE/Xv0xQPcqEfyPa4VGhONi5Vd6GD33nWxcED0/ZlgqvNDvg3q5E0JBaWUlz2xt0zJhJy6ixNM+eS/PK1bQ7rIRvXcNHWX3HdDXeex54bSqsf0Fw93JkVm/m15E/H8b08uoJZNfZA9JCgR2rByzOxz9wRNYoFPkV8PDXg0ByPozthLyPe9vqAITcKj4EgLz7rBP3/1Jq5x/A7wPzx1GYOQKnFjJcW1WuWwxjkpXLAJJU4ZCjc6PZqMYHYwx2O6LlMHLKKJrLf3XpGMNjtm5CjWZwKlKe8TewGwJAJNJLfh8gOgc5aRT+7R24VVJ3q83sL+6XjOA6LlIKIUYyNrsQh1uXWmVcOJOUgk7q8fLMJGAORKJ3hOLe5w7mWGVciNEhKxCJJ8ABXFeCCKzpMy5E14O5E+8iCjHavVccPLIlbdPnY2kMQu9QFsXZgL8FjC1IPu4OjZeFNBVYG+kRsEm/2m5FOltdLZqjOJV7eJ9H4KxHJdJgAWsosuOOdIhXWw9wnwJHLmK3w8mTyEfKQOekzVFJ1bUV8PGVg4ItFkmvB/IM2OvsVe8GfAKEzRo8VGpqkcoOYPP5gdYOvw4A82FrMNJhRUZMoK2qBVy6iIJzYX3KeGQZGBtdOg5HLSgJYGvDfxRAjQG7FazN/QY9ACtD9AdAjxIzwOEb6LZM6PvEH4yvM8CdGUG4FAqaFazeWdQjgDEG7F4CtjqQMqGlEYT+v9YFyMlgq8FR0yP3fWoHtwCtHxjbiHCYSRNtrDMNZsJp9SoHRUOyotkQk8bTYu6iJi2VH7M9dtA7wKESdLkbQVhAh9xeDqIWsXSC9xGEFBwDDSMHCDEZuQSLr7F0/B9aPSJYm5TJ8O9+oibfPADi8qXggHYAAWGkM6vLMgGJgAMM/BoBbgE9SCFIsgNhIlQ2Y5l8jZPj0jgw5zJOp0xdVjzZXx/E1gyzrO5SV7bD31dBfj7Y25xGKMkgHZ8B90Pd+VnKjjG/bW5yKPGz+JLKEJLzz9EeKvFH9iWW3VdEe2w8xjjRhU9WVYs7RW7eB/8M5DPQKGFrBmFDEEjnNqn/0i3uLXCPP/DKEjjwDfzm3b9mRaKi9eJ0P6SolLXc8rFpyfpOXMqPvp2jdkc2lOJZ3hEDFxeQJAVNwJljoA7a2vHfGqq8yOVRSDEpmEqE9y5jKj9MylNGbEn/RnJHdQDf1V3OlWwdKdEz8xqZdY2ymdV3K9dU1qJ7cTlSaQnOuE+qJGfm+s/LLedocnG0qRfS/qggHV0KMx9DnF9R1k83ILKG9sRkmvJv4uJrBxj/y9e0p6Zhn3cIJ0hpOVSfjhSI7LEjcjNlbyRAWY2yDzKx9kA6DLNfLfDK9Z3n95ixOLTKWDyQGkNYkEjKPWH4pJr/1/4jh/wJr/iGEftT7EkAAAAASUVORK5CYII=';
+
+// Notification button labels by action; Chrome shows at most two buttons
+const NOTIFICATION_BUTTON_TITLES = {
+    'start-break': '开始休息',
+    'start-work': '开始下一个番茄',
+    'snooze': '再过 5 分钟',
+    'extend-break': '休息 +5 分钟',
+    'discard-idle': '扣除离开的时间',
+    'abandon-idle': '放弃这个番茄'
+};
+
 class TomatoClockService {
     constructor() {
         this.timerState = {
@@ -7,53 +31,208 @@ class TomatoClockService {
             currentPhase: 'work', // 'work', 'short-break', 'long-break'
             currentCycle: 1,
             timeRemaining: 25 * 60, // seconds
-            endTime: null
+            timeElapsed: 0, // Focused seconds so far when the work phase counts up (flow mode)
+            endTime: null,
+            phaseDuration: 25 * 60, // Full length of the current phase in seconds
+            autoRunCount: 0, // Pomodoros completed in the current continuous run
+            activeTaskId: null, // Task the current work session counts towards
+            taskType: null, // Task type of the next or current work session without a task, e.g. from "tomato start 25 编程"
+            session: null, // Current work session: { startedAt, pauses: [{ start, end }], blockingPauses, activity, adjustments, flow, idle }
+            blockingPausedUntil: null, // Site blocking is lifted until this timestamp
+            breakPageTabId: null, // Tab showing the break page, if one is open
+            notificationActions: [], // Actions behind the buttons of the current notification
+            snoozedPhase: null, // Phase whose start reminder was snoozed
+            scheduledUntil: null, // End of the scheduled block that started the current run
+            lastScheduledStart: null // Start of the last block the schedule started or skipped, so none starts twice
         };
         
         this.settings = {
             workDuration: 25,
             shortBreakDuration: 5,
-            longBreakDuration: 15
+            longBreakDuration: 15,
+            longBreakInterval: 4, // Pomodoros before a long break, 0 = never
+            timerMode: 'countdown', // 'countdown', or 'flow' to count work up until the user ends it
+            flowBreakRatio: 5, // A flow session earns a break of 1/N of its focused time
+            autoStartBreaks: false,
+            autoStartWork: false,
+            maxAutoPomodoros: 0, // Stop continuous mode after N pomodoros, 0 = no limit
+            dailyGoal: 0, // Pomodoros per day, 0 = no goal
+            weekdayGoals: null, // Optional goals per weekday, Monday first; overrides dailyGoal
+            weeklyGoal: 0, // Pomodoros per week (Monday to Sunday), 0 = no goal
+            breakPage: 'none', // Show the break page when a break begins: 'none', 'tab' or 'window'
+            breakPageAutoClose: true, // Close the break page when the break ends
+            workEndSound: 'bell', // Built-in sound name, 'custom' or 'none'
+            breakEndSound: 'chime',
+            volume: 70, // 0-100
+            tickingSound: false, // Tick every second while a work phase is running
+            persistentNotification: false, // Keep the notification until the user acts on it
+            activityTracking: false, // Record time per site during work phases, kept on this device only
+            idleAction: 'off', // When away during work: 'off', 'pause' the timer or 'mark' the time as idle
+            idleMinutes: 5, // Minutes without input before the user counts as away
+            activePresetId: 'classic' // Preset the durations came from, null after editing them by hand
         };
         
-        this.currentTaskType = '工作'; // Current task type for the session
-        this.sessionStartTime = null; // Track when current session started
+        this.historyStore = new HistoryStore();
+        this.syncService = new SyncService(chrome.storage.sync, chrome.storage.local);
+        this.tasks = []; // User-defined tasks, synced through syncService
+        this.categories = DEFAULT_CATEGORIES.map(category => ({ ...category }));
+        this.presets = DEFAULT_PRESETS.map(preset => ({ ...preset }));
+        this.blockingSettings = { ...DEFAULT_BLOCKING_SETTINGS };
+        this.schedule = { ...DEFAULT_SCHEDULE };
+        this.siteBlocker = new SiteBlocker(chrome.declarativeNetRequest, chrome.runtime.getURL('blocked.html'));
+        this.offscreenCreating = null; // Pending offscreen document creation
+        this.lastRecordId = 0; // Last history record id handed out by createRecordId
+        this.hasSiteAccess = false; // Optional access to all sites, needed to read tab addresses
+        this.notificationClearTimer = null; // Pending auto-clear of the timer notification
         
         this.init();
     }
     
-    async init() {
-        // Load saved state and settings
-        await this.loadState();
-        await this.loadSettings();
-        
-        // Set up alarm listener
-        chrome.alarms.onAlarm.addListener((alarm) => {
+    init() {
+        // Listeners are registered synchronously so that the event which woke
+        // the service worker is not missed while state is still loading
+        chrome.alarms.onAlarm.addListener(async (alarm) => {
             if (alarm.name === 'tomato-timer') {
-                this.onTimerComplete();
+                await this.ready;
+                if (this.isTimerDue()) {
+                    this.onTimerComplete();
+                }
+            } else if (alarm.name === 'tomato-flow') {
+                await this.ready;
+                this.updateTimeRemaining();
+            } else if (alarm.name === 'tomato-blocking') {
+                await this.ready;
+                await this.resumeBlocking();
+            } else if (alarm.name === 'tomato-snooze') {
+                await this.ready;
+                await this.remindSnoozedPhase();
+            } else if (alarm.name === 'tomato-schedule') {
+                await this.ready;
+                await this.startScheduledBlock();
+            }
+        });
+        
+        chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+            if (notificationId === 'tomato-timer') {
+                await this.ready;
+                await this.handleNotificationButton(buttonIndex);
+            }
+        });
+        chrome.notifications.onClicked.addListener(async (notificationId) => {
+            if (notificationId === 'tomato-timer') {
+                await this.ready;
+                await this.handleNotificationClick();
+            }
+        });
+        
+        // Leaving the computer during a work phase, and coming back
+        chrome.idle.onStateChanged.addListener((state) => {
+            this.ready.then(() => this.handleIdleStateChange(state));
+        });
+        
+        // Keyboard shortcuts declared under "commands" in the manifest
+        chrome.commands.onCommand.addListener(async (command) => {
+            await this.ready;
+            await this.handleCommand(command);
+        });
+        
+        // "tomato <command>" in the address bar
+        chrome.omnibox.setDefaultSuggestion({
+            description: '番茄命令：start [分钟] [任务类型]、pause、skip、reset、stats'
+        });
+        chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+            this.ready.then(() => suggest(this.getOmniboxSuggestions(text)));
+        });
+        chrome.omnibox.onInputEntered.addListener(async (text) => {
+            await this.ready;
+            await this.runOmniboxCommand(text);
+        });
+        
+        // Active tab and window focus changes move tracked time to another site
+        chrome.tabs.onActivated.addListener(() => {
+            this.ready.then(() => this.updateActivity());
+        });
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+            if (changeInfo.url && tab.active) {
+                this.ready.then(() => this.updateActivity());
+            }
+        });
+        chrome.windows.onFocusChanged.addListener(() => {
+            this.ready.then(() => this.updateActivity());
+        });
+        
+        // Access to all sites is optional and can be withdrawn at any time
+        const onSiteAccessChanged = () => {
+            this.ready.then(async () => {
+                await this.checkSiteAccess();
+                await this.updateActivity();
+            });
+        };
+        chrome.permissions.onAdded.addListener(onSiteAccessChanged);
+        chrome.permissions.onRemoved.addListener(onSiteAccessChanged);
+        
+        chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+            if (info.menuItemId === 'tomato-start-page') {
+                await this.ready;
+                await this.startPomodoroOnPage(info, tab);
             }
         });
         
         // Set up message listener
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-            this.handleMessage(message, sender, sendResponse);
+            this.ready.then(() => this.handleMessage(message, sender, sendResponse));
             return true; // Keep the message channel open for async responses
         });
         
+        // Pick up settings, categories and tasks changed on other devices
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'sync') {
+                this.ready.then(() => this.handleSyncChanges(changes));
+            }
+        });
+        
+        this.ready = this.restore();
+    }
+    
+    async restore() {
+        // Load saved state and settings
+        await this.loadState();
+        await this.initSync(); // Moves settings saved by older versions first
+        await this.loadSettings();
+        await this.loadTasks();
+        await this.loadCategories();
+        await this.loadPresets();
+        await this.loadBlockingSettings();
+        await this.loadSchedule();
+        await this.checkSiteAccess();
+        this.updateIdleDetection();
+        await this.migrateHistory();
+        await this.buildSyncStats();
+        
         // Restore timer if it was running
-        if (this.timerState.isRunning && this.timerState.endTime) {
-            const now = Date.now();
-            const timeLeft = Math.max(0, Math.floor((this.timerState.endTime - now) / 1000));
-            
-            if (timeLeft > 0) {
-                this.timerState.timeRemaining = timeLeft;
-                this.startAlarm(timeLeft);
-            } else {
+        if (this.timerState.isRunning && (this.timerState.endTime || this.isCountUp())) {
+            const progress = TimerPhases.catchUp(this.timerState, Date.now());
+            if (progress.due) {
                 // Timer should have completed while extension was inactive
-                this.onTimerComplete();
+                await this.onTimerComplete();
+            } else if (this.timerState.endTime) {
+                this.timerState.timeRemaining = progress.timeRemaining;
+                this.startAlarm(progress.timeRemaining);
+            } else {
+                // Count-up phases have no end time, only the elapsed time to catch up on
+                this.timerState.timeElapsed = progress.timeElapsed;
+                this.startFlowAlarm();
             }
         }
         
+        // The schedule may have been edited on another device meanwhile, and a
+        // block may have begun while the browser was closed
+        await this.startMissedBlock();
+        
+        // Session rules do not survive a browser restart
+        await this.updateBlocking();
+        await this.updateTicking();
+        
         // Update icon to reflect current state
         await this.updateIcon();
         
@@ -84,9 +263,15 @@ class TomatoClockService {
     
     async loadSettings() {
         try {
-            const result = await chrome.storage.sync.get(['timerSettings']);
-            if (result.timerSettings) {
-                this.settings = { ...this.settings, ...result.timerSettings };
+            const saved = await this.syncService.loadSettings();
+            if (Object.keys(saved).length > 0) {
+                this.settings = { ...this.settings, ...saved };
+                
+                // Settings saved before presets existed: find the preset they match
+                if (!('activePresetId' in saved)) {
+                    const preset = TimerPresets.findMatching(this.presets, this.settings);
+                    this.settings.activePresetId = preset ? preset.id : null;
+                }
             }
         } catch (error) {
             console.error('Failed to load settings:', error);
@@ -95,12 +280,159 @@ class TomatoClockService {
 
     async saveSettings() {
         try {
-            await chrome.storage.sync.set({ timerSettings: this.settings });
+            await this.syncService.saveSettings(this.settings);
         } catch (error) {
             console.error('Failed to save settings:', error);
         }
     }
     
+    async initSync() {
+        try {
+            await this.syncService.init();
+        } catch (error) {
+            console.error('Failed to initialize sync:', error);
+        }
+    }
+    
+    // Seeds this device's synced daily stats from local history once
+    async buildSyncStats() {
+        try {
+            const flags = await chrome.storage.local.get(['syncStatsBuilt']);
+            if (flags.syncStatsBuilt) {
+                return;
+            }
+            
+            await this.rebuildSyncStats();
+            await chrome.storage.local.set({ syncStatsBuilt: true });
+        } catch (error) {
+            console.error('Failed to build sync stats:', error);
+        }
+    }
+    
+    async rebuildSyncStats() {
+        const since = new Date();
+        since.setMonth(since.getMonth() - (STATS_MONTHS_KEPT - 1), 1);
+        // Legacy records another device migrated first are in its stats already
+        const records = await this.getHistory(HistoryAnalysis.formatDate(since));
+        await this.syncService.rebuildStats(records.filter(record =>
+            !record.countedBy || record.countedBy === this.syncService.deviceId));
+    }
+    
+    async handleSyncChanges(changes) {
+        const settingsChanged = Object.keys(changes).some(key => this.syncService.isSettingsKey(key));
+        if (settingsChanged) {
+            this.settings = { ...this.settings, ...await this.syncService.loadSettings() };
+            await this.updateTicking();
+            await this.updateActivity();
+            this.updateIdleDetection();
+        }
+        
+        // Goals count pomodoros from every device; this also catches stats
+        // written by this device, since onChanged fires for local writes too
+        if (settingsChanged || Object.keys(changes).some(key => key.startsWith('stats:'))) {
+            this.broadcastGoalProgress();
+        }
+        
+        if (changes.taskCategories && changes.taskCategories.newValue) {
+            this.categories = changes.taskCategories.newValue;
+            this.broadcastCategories();
+        }
+        
+        if (changes.timerPresets && changes.timerPresets.newValue) {
+            this.presets = changes.timerPresets.newValue;
+            this.broadcastPresets();
+        }
+        
+        if (changes.siteBlocking && changes.siteBlocking.newValue) {
+            this.blockingSettings = { ...DEFAULT_BLOCKING_SETTINGS, ...changes.siteBlocking.newValue };
+            await this.updateBlocking();
+        }
+        
+        if (changes.workSchedule && changes.workSchedule.newValue) {
+            this.schedule = { ...DEFAULT_SCHEDULE, ...changes.workSchedule.newValue };
+            await this.skipCurrentBlock();
+            await this.scheduleNextBlock();
+        }
+        
+        // A task deleted on another device takes this device's counter with it
+        if (Object.keys(changes).some(key => key.startsWith('task:') && !changes[key].newValue)) {
+            try {
+                await this.syncService.pruneTaskCounts();
+            } catch (error) {
+                console.error('Failed to prune task counts:', error);
+            }
+        }
+        
+        if (Object.keys(changes).some(key => this.syncService.isTaskKey(key))) {
+            await this.loadTasks();
+            this.broadcastTasks();
+        }
+    }
+    
+    async loadTasks() {
+        try {
+            // Older versions kept tasks in chrome.storage.local only
+            const legacy = await chrome.storage.local.get(['tasks']);
+            if (legacy.tasks) {
+                await this.syncService.importTasks(legacy.tasks);
+                await chrome.storage.local.remove(['tasks']);
+            }
+            
+            this.tasks = await this.syncService.loadTasks();
+        } catch (error) {
+            console.error('Failed to load tasks:', error);
+        }
+    }
+    
+    async persistTask(task) {
+        try {
+            await this.syncService.saveTask(task);
+        } catch (error) {
+            console.error('Failed to save task:', error);
+        }
+        this.broadcastTasks();
+    }
+    
+    async loadCategories() {
+        try {
+            const result = await chrome.storage.sync.get(['taskCategories']);
+            if (result.taskCategories) {
+                this.categories = result.taskCategories;
+            }
+        } catch (error) {
+            console.error('Failed to load categories:', error);
+        }
+    }
+    
+    async saveCategories() {
+        try {
+            await chrome.storage.sync.set({ taskCategories: this.categories });
+        } catch (error) {
+            console.error('Failed to save categories:', error);
+        }
+        this.broadcastCategories();
+    }
+    
+    async loadPresets() {
+        try {
+            const result = await chrome.storage.sync.get(['timerPresets']);
+            if (result.timerPresets) {
+                this.presets = result.timerPresets;
+            }
+        } catch (error) {
+            console.error('Failed to load presets:', error);
+        }
+    }
+    
+    async savePresets() {
+        try {
+            await chrome.storage.sync.set({ timerPresets: this.presets });
+        } catch (error) {
+            console.error('Failed to save presets:', error);
+        }
+        this.broadcastPresets();
+    }
+    
     async handleMessage(message, sender, sendResponse) {
         try {
             switch (message.type) {
@@ -122,38 +454,160 @@ class TomatoClockService {
                     break;
                     
                 case 'SKIP_PHASE':
-                    await this.skipPhase();
+                    await this.skipPhase(message.reason);
                     sendResponse({ success: true });
                     break;
                     
                 case 'RESET_TIMER':
-                    await this.resetTimer();
+                    await this.resetTimer(message.reason);
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'PREVIEW_SOUND':
+                    await this.playSound(message.sound, message.volume);
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'ADJUST_TIME':
+                    await this.adjustTime(message.minutes);
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'FINISH_FLOW':
+                    await this.finishFlow();
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'EXTEND_BREAK':
+                    await this.extendBreak(message.minutes);
                     sendResponse({ success: true });
                     break;
                     
+                case 'GET_SETTINGS':
+                    sendResponse({ settings: this.settings });
+                    break;
+                    
                 case 'UPDATE_SETTINGS':
                     this.settings = { ...this.settings, ...message.settings };
                     await this.saveSettings();
+                    this.updateIdleDetection();
                     sendResponse({ success: true });
                     break;
                     
                 case 'GET_HISTORY':
-                    const history = await this.getHistory();
+                    // Optional from/to (YYYY-MM-DD, inclusive) limit the records loaded
+                    const history = await this.getHistory(message.from, message.to);
                     sendResponse({ history });
                     break;
                     
+                case 'GET_HISTORY_SUMMARY':
+                    const summary = await this.getHistorySummary(message.from, message.to);
+                    sendResponse({ summary });
+                    break;
+                    
                 case 'EXPORT_HISTORY':
-                    const exportData = await this.getHistory();
+                    // Date range and category filters are applied before export
+                    const exportData = (await this.getHistory(message.from, message.to))
+                        .filter(record => !message.category || (record.type || '工作') === message.category);
                     sendResponse({ data: exportData });
                     break;
                     
+                case 'GET_GOAL_PROGRESS':
+                    const goalProgress = await this.getGoalProgress();
+                    sendResponse({ progress: goalProgress });
+                    break;
+                    
+                case 'GET_STREAKS':
+                    const streaks = await this.getStreaks();
+                    sendResponse({ streaks });
+                    break;
+                    
+                case 'GET_DEVICES':
+                    const devices = await this.syncService.getDevices();
+                    sendResponse({ devices });
+                    break;
+                    
+                case 'IMPORT_HISTORY':
+                    // With dryRun only the summary is computed, nothing is written
+                    const importResult = await this.importHistory(message.records, message.mode, message.dryRun !== false);
+                    sendResponse(importResult);
+                    break;
+                    
                 case 'CLEAR_HISTORY':
                     await this.clearHistory();
                     sendResponse({ success: true });
                     break;
                     
-                case 'SET_TASK_TYPE':
-                    this.currentTaskType = message.taskType || '工作';
+                case 'GET_TASKS':
+                    sendResponse({ tasks: this.tasks, activeTaskId: this.timerState.activeTaskId });
+                    break;
+                    
+                case 'SAVE_TASK':
+                    const task = await this.saveTask(message.task);
+                    sendResponse({ success: true, task });
+                    break;
+                    
+                case 'DELETE_TASK':
+                    await this.deleteTask(message.taskId);
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'SET_ACTIVE_TASK':
+                    await this.setActiveTask(message.taskId);
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'GET_CATEGORIES':
+                    sendResponse({ categories: this.categories });
+                    break;
+                    
+                case 'GET_PRESETS':
+                    sendResponse({ presets: this.presets });
+                    break;
+                    
+                case 'SAVE_PRESETS':
+                    await this.setPresets(message.presets);
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'APPLY_PRESET':
+                    await this.applyPreset(message.presetId);
+                    sendResponse({ success: true, settings: this.settings });
+                    break;
+                    
+                case 'SAVE_CATEGORIES':
+                    await this.setCategories(message.categories);
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'GET_BLOCKING_SETTINGS':
+                    sendResponse({
+                        settings: this.blockingSettings,
+                        pausesToday: await this.getBlockingPausesToday()
+                    });
+                    break;
+                    
+                case 'SAVE_BLOCKING_SETTINGS':
+                    const blockingResult = await this.setBlockingSettings(message.settings);
+                    sendResponse({ success: true, ...blockingResult });
+                    break;
+                    
+                case 'PAUSE_BLOCKING':
+                    const pausedUntil = await this.pauseBlocking(message.url);
+                    sendResponse({ success: true, pausedUntil });
+                    break;
+                    
+                case 'GET_SCHEDULE':
+                    sendResponse(this.getScheduleInfo());
+                    break;
+                    
+                case 'SAVE_SCHEDULE':
+                    const scheduleInfo = await this.setSchedule(message.schedule);
+                    sendResponse({ success: true, ...scheduleInfo });
+                    break;
+                    
+                case 'RENAME_CATEGORY':
+                    await this.renameCategory(message.oldName, message.newName);
                     sendResponse({ success: true });
                     break;
                     
@@ -169,133 +623,748 @@ class TomatoClockService {
     async startTimer() {
         if (this.timerState.timeRemaining <= 0) {
             this.timerState.timeRemaining = this.getCurrentPhaseDuration();
+            this.timerState.phaseDuration = this.timerState.timeRemaining;
         }
         
+        const now = new Date();
         this.timerState.isRunning = true;
-        this.timerState.endTime = Date.now() + (this.timerState.timeRemaining * 1000);
+        this.timerState.snoozedPhase = null;
+        chrome.alarms.clear('tomato-snooze');
         
-        // Record session start time for work sessions
+        // Start a new work session, or close the pause when resuming one
         if (this.timerState.currentPhase === 'work') {
-            this.sessionStartTime = new Date();
+            const session = this.timerState.session;
+            if (!session) {
+                this.timerState.session = {
+                    startedAt: now.toISOString(),
+                    pauses: [],
+                    preset: this.getActivePresetInfo(),
+                    flow: this.settings.timerMode === 'flow' // Kept for the whole session
+                };
+                this.timerState.timeElapsed = 0;
+            } else {
+                const openPause = session.pauses.find(pause => !pause.end);
+                if (openPause) {
+                    openPause.end = now.toISOString();
+                }
+            }
         }
         
-        this.startAlarm(this.timerState.timeRemaining);
+        if (this.isCountUp()) {
+            this.timerState.endTime = null;
+            this.startFlowAlarm();
+        } else {
+            this.timerState.endTime = now.getTime() + (this.timerState.timeRemaining * 1000);
+            this.startAlarm(this.timerState.timeRemaining);
+        }
+        await this.updateActivity();
         await this.saveState();
+        await this.updateBlocking();
+        await this.updateTicking();
         await this.updateIcon();
         this.broadcastUpdate();
     }
     
     async pauseTimer() {
+        if (this.timerState.isRunning && this.timerState.session) {
+            if (this.isCountUp()) {
+                this.timerState.timeElapsed = this.getFocusedSeconds(this.timerState.session);
+            }
+            this.timerState.session.pauses.push({ start: new Date().toISOString(), end: null });
+        }
+        
         this.timerState.isRunning = false;
         this.timerState.endTime = null;
         
         chrome.alarms.clear('tomato-timer');
+        chrome.alarms.clear('tomato-flow');
+        await this.updateActivity();
         await this.saveState();
+        await this.updateBlocking();
+        await this.updateTicking();
         await this.updateIcon();
         this.broadcastUpdate();
     }
     
-    async skipPhase() {
+    async skipPhase(reason = '') {
+        if (this.timerState.currentPhase !== 'work') {
+            await this.recordBreakEvent('skipped');
+        }
+        
+        // Only keep the run going if the timer was running when skipped
+        const wasRunning = this.timerState.isRunning;
         chrome.alarms.clear('tomato-timer');
-        await this.onTimerComplete();
+        await this.onTimerComplete({ autoStart: wasRunning, outcome: 'skipped', reason });
     }
     
-    async resetTimer() {
+    async resetTimer(reason = '') {
+        // A started work session that is reset counts as abandoned
+        if (this.timerState.currentPhase === 'work') {
+            await this.recordWorkSession('abandoned', reason);
+        }
+        
         this.timerState.isRunning = false;
         this.timerState.currentPhase = 'work';
         this.timerState.currentCycle = 1;
         this.timerState.timeRemaining = this.settings.workDuration * 60;
+        this.timerState.phaseDuration = this.timerState.timeRemaining;
+        this.timerState.timeElapsed = 0;
         this.timerState.endTime = null;
+        this.timerState.autoRunCount = 0;
+        this.timerState.blockingPausedUntil = null;
+        this.timerState.snoozedPhase = null;
+        this.timerState.scheduledUntil = null;
+        this.timerState.taskType = null; // Also when it was chosen during a break
+        
+        if (this.settings.breakPageAutoClose) {
+            await this.closeBreakPage();
+        }
         
         chrome.alarms.clear('tomato-timer');
+        chrome.alarms.clear('tomato-flow');
+        chrome.alarms.clear('tomato-snooze');
         await this.saveState();
+        await this.updateBlocking();
+        await this.updateTicking();
         await this.updateIcon();
         this.broadcastUpdate();
     }
     
-    startAlarm(seconds) {
-        chrome.alarms.clear('tomato-timer');
-        chrome.alarms.create('tomato-timer', { delayInMinutes: seconds / 60 });
-    }
-    
-    async onTimerComplete() {
-        this.timerState.isRunning = false;
-        this.timerState.endTime = null;
-        
-        // Record completed pomodoro if it was a work session
-        if (this.timerState.currentPhase === 'work') {
-            await this.recordCompletedPomodoro();
+    // Adds (or with a negative value removes) minutes from the current phase,
+    // whether it is running or not. Taking away more than is left ends a
+    // running phase at once; a paused phase keeps at least a minute.
+    async adjustTime(minutes) {
+        const amount = parseInt(minutes, 10);
+        if (!amount || Math.abs(amount) > 60) {
+            throw new Error('Adjustment must be 1-60 minutes either way');
+        }
+        if (this.isCountUp()) {
+            throw new Error('A flow session has no end time to adjust');
         }
         
-        // Show notification
-        await this.showNotification();
-        
-        // Play sound
-        this.playNotificationSound();
+        const remaining = this.timerState.timeRemaining + amount * 60;
+        if (this.timerState.isRunning && remaining <= 0) {
+            this.recordAdjustment(-Math.ceil(this.timerState.timeRemaining / 60));
+            await this.onTimerComplete();
+            return;
+        }
         
-        // Move to next phase
-        this.moveToNextPhase();
+        const newRemaining = this.timerState.isRunning ? remaining : Math.max(60, remaining);
+        const seconds = newRemaining - this.timerState.timeRemaining;
+        this.timerState.timeRemaining = newRemaining;
+        this.timerState.phaseDuration = Math.max(newRemaining, (this.timerState.phaseDuration || 0) + seconds);
+        if (this.timerState.isRunning) {
+            this.timerState.endTime += seconds * 1000;
+            this.startAlarm(this.timerState.timeRemaining);
+        }
+        this.recordAdjustment(Math.round(seconds / 60));
         
         await this.saveState();
         await this.updateIcon();
         this.broadcastUpdate();
     }
     
-    moveToNextPhase() {
+    // Work sessions keep their adjustments for the history record
+    recordAdjustment(minutes) {
+        const session = this.timerState.session;
+        if (this.timerState.currentPhase === 'work' && session && minutes !== 0) {
+            session.adjustments = session.adjustments || [];
+            session.adjustments.push({ at: new Date().toISOString(), minutes });
+        }
+    }
+    
+    // Adds time to the current break, whether it is running or not
+    async extendBreak(minutes = 5) {
         if (this.timerState.currentPhase === 'work') {
-            // After work, go to break
-            if (this.timerState.currentCycle % 4 === 0) {
-                // Long break after 4 cycles
-                this.timerState.currentPhase = 'long-break';
-                this.timerState.timeRemaining = this.settings.longBreakDuration * 60;
-            } else {
-                // Short break
-                this.timerState.currentPhase = 'short-break';
-                this.timerState.timeRemaining = this.settings.shortBreakDuration * 60;
-            }
+            throw new Error('Only breaks can be extended');
+        }
+        
+        await this.adjustTime(Math.max(1, parseInt(minutes, 10) || 5));
+        await this.recordBreakEvent('extended');
+    }
+    
+    // Idle detection methods
+    // The span arithmetic lives in IdleSpans; a span counts as focus unless
+    // the user discards it when they come back.
+    getIdleSeconds() {
+        return Math.min(60, Math.max(1, parseInt(this.settings.idleMinutes, 10) || 5)) * 60;
+    }
+    
+    updateIdleDetection() {
+        chrome.idle.setDetectionInterval(this.getIdleSeconds());
+    }
+    
+    async handleIdleStateChange(state) {
+        if (state === 'active') {
+            await this.endIdleSpan();
+            return;
+        }
+        
+        // "locked" may follow "idle" during the same absence
+        const session = this.timerState.session;
+        if (this.settings.idleAction === 'off' ||
+            !this.timerState.isRunning ||
+            this.timerState.currentPhase !== 'work' ||
+            !session ||
+            (session.idle || []).some(span => !span.end)) {
+            return;
+        }
+        
+        const start = IdleSpans.getSpanStart(session, state, Date.now(), this.getIdleSeconds());
+        session.idle = session.idle || [];
+        session.idle.push({ start: new Date(start).toISOString(), end: null, discarded: false });
+        
+        if (this.settings.idleAction === 'pause') {
+            await this.pauseTimer();
         } else {
-            // After any break, go back to work
-            this.timerState.currentPhase = 'work';
-            this.timerState.timeRemaining = this.settings.workDuration * 60;
-            
-            // Increment cycle only when starting a new work session
-            if (this.timerState.currentPhase === 'work') {
-                this.timerState.currentCycle++;
-            }
+            await this.saveState();
         }
     }
     
-    getCurrentPhaseDuration() {
-        switch (this.timerState.currentPhase) {
-            case 'work':
-                return this.settings.workDuration * 60;
-            case 'short-break':
-                return this.settings.shortBreakDuration * 60;
-            case 'long-break':
-                return this.settings.longBreakDuration * 60;
-            default:
-                return this.settings.workDuration * 60;
+    // Closes the open idle span and asks what to do about it; the question
+    // stays until answered, as the user may not be looking yet
+    async endIdleSpan() {
+        const session = this.timerState.session;
+        const span = session && (session.idle || []).find(item => !item.end);
+        if (!span) {
+            return;
         }
+        
+        span.end = new Date().toISOString();
+        const minutes = Math.max(1, Math.round((new Date(span.end) - new Date(span.start)) / 60000));
+        await this.createNotification(
+            this.timerState.isRunning
+                ? `你离开了约 ${minutes} 分钟，这段时间已标记为空闲。点击通知照常计入专注时间，或者：`
+                : `你离开了约 ${minutes} 分钟，番茄已暂停。点击通知继续计时，或者：`,
+            ['discard-idle', 'abandon-idle'],
+            { persistent: true }
+        );
+        await this.saveState();
     }
     
-    updateTimeRemaining() {
-        if (this.timerState.isRunning && this.timerState.endTime) {
-            const now = Date.now();
-            const timeLeft = Math.max(0, Math.floor((this.timerState.endTime - now) / 1000));
-            
-            if (timeLeft !== this.timerState.timeRemaining) {
-                this.timerState.timeRemaining = timeLeft;
-                this.updateIcon(); // Update icon with new time
-                this.broadcastUpdate();
-                
-                if (timeLeft <= 0) {
-                    this.onTimerComplete();
+    // Takes the last idle span out of the focused time, gives it back to the
+    // timer and carries on
+    async discardIdleTime() {
+        const session = this.timerState.session;
+        const span = session && this.timerState.currentPhase === 'work'
+            ? (session.idle || []).filter(item => item.end).pop()
+            : null;
+        if (!span || span.discarded) {
+            return;
+        }
+        
+        // Time after the timer was paused for the absence is not focus anyway
+        const pause = IdleSpans.getDiscardedPause(session, span);
+        span.discarded = true;
+        if (pause) {
+            const seconds = Math.round((pause.end - pause.start) / 1000);
+            session.pauses.push({ start: span.start, end: new Date(pause.end).toISOString() });
+            session.pauses.sort((a, b) => new Date(a.start) - new Date(b.start));
+            if (this.isCountUp()) {
+                this.timerState.timeElapsed = this.getFocusedSeconds(session);
+            } else {
+                this.timerState.timeRemaining += seconds;
+                if (this.timerState.isRunning) {
+                    this.timerState.endTime += seconds * 1000;
+                    this.startAlarm(this.timerState.timeRemaining);
+                }
+            }
+        }
+        
+        if (!this.timerState.isRunning) {
+            // startTimer saves state, updates the icon and broadcasts
+            await this.startTimer();
+            return;
+        }
+        await this.saveState();
+        await this.updateIcon();
+        this.broadcastUpdate();
+    }
+    
+    // Activity tracking methods
+    // Time is added to the site in front while a work phase runs; the open
+    // interval is kept in the session so it survives worker restarts
+    isTrackingActivity() {
+        return !!this.settings.activityTracking &&
+            this.hasSiteAccess &&
+            this.timerState.isRunning &&
+            this.timerState.currentPhase === 'work' &&
+            !!this.timerState.session;
+    }
+    
+    // Without access to all sites tabs have no address, and all the time
+    // would count as outside Chrome
+    async checkSiteAccess() {
+        try {
+            this.hasSiteAccess = await chrome.permissions.contains({ origins: ['<all_urls>'] });
+        } catch (error) {
+            console.error('Failed to check site access:', error);
+        }
+    }
+    
+    // Site of the active tab, or '' when Chrome is not focused or the tab is not a web page
+    async getActiveDomain() {
+        try {
+            const focusedWindow = await chrome.windows.getLastFocused();
+            if (!focusedWindow || !focusedWindow.focused) {
+                return '';
+            }
+            const [tab] = await chrome.tabs.query({ active: true, windowId: focusedWindow.id });
+            return HistoryAnalysis.getDomain(tab && tab.url) || '';
+        } catch (error) {
+            console.error('Failed to get active tab:', error);
+            return '';
+        }
+    }
+    
+    // Closes the open interval and returns whole seconds per site
+    flushActivity(session, now = Date.now()) {
+        const activity = session.activity || (session.activity = {});
+        if (session.activitySince) {
+            const seconds = Math.max(0, (now - session.activitySince) / 1000);
+            const domain = session.activityDomain || '';
+            activity[domain] = (activity[domain] || 0) + seconds;
+            session.activitySince = null;
+            session.activityDomain = null;
+        }
+        
+        const rounded = {};
+        Object.entries(activity).forEach(([domain, seconds]) => {
+            if (Math.round(seconds) > 0) {
+                rounded[domain] = Math.round(seconds);
+            }
+        });
+        return rounded;
+    }
+    
+    async updateActivity() {
+        const session = this.timerState.session;
+        if (!session || (!session.activitySince && !this.isTrackingActivity())) {
+            return;
+        }
+        
+        const now = Date.now();
+        this.flushActivity(session, now);
+        if (this.isTrackingActivity()) {
+            session.activityDomain = await this.getActiveDomain();
+            session.activitySince = now;
+        }
+        await this.saveState();
+    }
+    
+    // Shortcut and omnibox methods
+    // Both go through handleMessage so they behave exactly like the popup buttons
+    dispatchMessage(message) {
+        return new Promise(resolve => this.handleMessage(message, {}, resolve));
+    }
+    
+    async handleCommand(command) {
+        const messages = {
+            'toggle-timer': { type: this.timerState.isRunning ? 'PAUSE_TIMER' : 'START_TIMER' },
+            'skip-phase': { type: 'SKIP_PHASE' },
+            'reset-timer': { type: 'RESET_TIMER' }
+        };
+        if (messages[command]) {
+            await this.dispatchMessage(messages[command]);
+        }
+    }
+    
+    getOmniboxSuggestions(text) {
+        const names = this.categories.map(category => category.name);
+        return OmniboxCommands.getSuggestions(text, names).map(suggestion => ({
+            content: suggestion.content,
+            description: OmniboxCommands.escapeDescription(suggestion.description)
+        }));
+    }
+    
+    async runOmniboxCommand(text) {
+        const parsed = OmniboxCommands.parse(text, this.categories.map(category => category.name));
+        if (parsed.error) {
+            await this.showCommandResult(parsed.error);
+            return;
+        }
+        
+        switch (parsed.command) {
+            case 'start':
+                await this.startFromOmnibox(parsed.minutes, parsed.category);
+                break;
+                
+            case 'pause':
+                await this.dispatchMessage({ type: 'PAUSE_TIMER' });
+                break;
+                
+            case 'skip':
+                await this.dispatchMessage({ type: 'SKIP_PHASE' });
+                break;
+                
+            case 'reset':
+                await this.dispatchMessage({ type: 'RESET_TIMER' });
+                break;
+                
+            case 'stats':
+                await this.showTodayStats();
+                break;
+        }
+    }
+    
+    async startFromOmnibox(minutes, category) {
+        if (this.timerState.isRunning) {
+            await this.showCommandResult('计时器已在运行');
+            return;
+        }
+        
+        if (category) {
+            // Saved with the timer state, and only until this work session ends
+            this.timerState.taskType = category;
+            // The active task's own type would otherwise win
+            const activeTask = this.getTask(this.timerState.activeTaskId);
+            if (activeTask && activeTask.type !== category) {
+                await this.setActiveTask(null);
+            }
+            await this.applyCategoryPreset(category);
+        }
+        
+        if (minutes) {
+            // Only a phase that has not started yet can change its length
+            const notStarted = !this.timerState.session &&
+                this.timerState.timeRemaining === this.timerState.phaseDuration;
+            if (notStarted) {
+                this.timerState.timeRemaining = minutes * 60;
+                this.timerState.phaseDuration = minutes * 60;
+            } else {
+                await this.showCommandResult('当前阶段已经开始，将按剩余时间继续');
+            }
+        }
+        
+        await this.dispatchMessage({ type: 'START_TIMER' });
+    }
+    
+    async showTodayStats() {
+        const progress = await this.getGoalProgress();
+        let minutes = 0;
+        try {
+            const days = await this.syncService.getDailyStats(progress.date, progress.date);
+            minutes = days[progress.date] ? days[progress.date].minutes : 0;
+        } catch (error) {
+            console.error('Failed to get today stats:', error);
+        }
+        
+        const goal = progress.dailyGoal > 0 ? ` / ${progress.dailyGoal}` : '';
+        await this.showCommandResult(
+            `今日完成 ${progress.today}${goal} 个番茄，专注 ${Math.round(minutes)} 分钟；本周 ${progress.week} 个番茄。`
+        );
+    }
+    
+    // Feedback for commands, kept apart from the timer notification and its buttons
+    async showCommandResult(message) {
+        try {
+            await chrome.notifications.create('tomato-command', {
+                type: 'basic',
+                iconUrl: NOTIFICATION_ICON_URL,
+                title: '🍅 番茄工作法计时器',
+                message
+            });
+        } catch (error) {
+            console.error('Failed to create notification:', error);
+        }
+    }
+    
+    // Context menu methods
+    // Menu items persist across worker restarts, so they are only created on install
+    createContextMenus() {
+        chrome.contextMenus.removeAll(() => {
+            chrome.contextMenus.create({
+                id: 'tomato-start-page',
+                title: '为此页面开始番茄',
+                contexts: ['page', 'selection'],
+                documentUrlPatterns: ['http://*/*', 'https://*/*']
+            });
+        });
+    }
+    
+    // Starts a pomodoro on a task named after the selection or the page title,
+    // reusing an unfinished task for the same page and title
+    async startPomodoroOnPage(info, tab) {
+        const url = info.pageUrl || (tab && tab.url) || '';
+        const title = String(info.selectionText || (tab && tab.title) || url)
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 100);
+        if (!url || !title) {
+            return;
+        }
+        
+        try {
+            let task = this.tasks.find(item =>
+                item.url === url && item.title === title && !item.completed && !item.archived);
+            if (!task) {
+                task = await this.saveTask({ title, type: this.timerState.taskType || '工作', url });
+            }
+            await this.setActiveTask(task.id);
+            
+            if (this.timerState.currentPhase !== 'work') {
+                await this.showCommandResult(`已将「${title}」设为当前任务，休息结束后开始`);
+            } else if (this.timerState.isRunning) {
+                await this.showCommandResult(`当前番茄改为计入「${title}」`);
+            } else {
+                await this.startTimer();
+            }
+        } catch (error) {
+            console.error('Failed to start pomodoro on page:', error);
+            // e.g. no room left for another synced task
+            await this.showCommandResult(error.message);
+        }
+    }
+    
+    // Break page methods
+    async openBreakPage() {
+        const mode = this.settings.breakPage;
+        if (mode !== 'tab' && mode !== 'window') {
+            return;
+        }
+        
+        // Reuse a page left open from the previous break
+        await this.closeBreakPage();
+        
+        const url = chrome.runtime.getURL('notification.html?mode=break');
+        try {
+            if (mode === 'window') {
+                const breakWindow = await chrome.windows.create({ url, type: 'popup', state: 'fullscreen' });
+                this.timerState.breakPageTabId = breakWindow.tabs[0].id;
+            } else {
+                const tab = await chrome.tabs.create({ url });
+                this.timerState.breakPageTabId = tab.id;
+            }
+        } catch (error) {
+            console.error('Failed to open break page:', error);
+        }
+    }
+    
+    async closeBreakPage() {
+        const tabId = this.timerState.breakPageTabId;
+        if (!tabId) {
+            return;
+        }
+        
+        this.timerState.breakPageTabId = null;
+        try {
+            // Closing the only tab of the break window closes the window too
+            await chrome.tabs.remove(tabId);
+        } catch (error) {
+            // The user already closed it
+        }
+    }
+    
+    // Counts skipped and extended breaks per local day: { date: { skipped, extended } }
+    async recordBreakEvent(event) {
+        try {
+            const today = HistoryAnalysis.formatDate(new Date());
+            const result = await chrome.storage.local.get(['breakStats']);
+            const breakStats = result.breakStats || {};
+            const day = breakStats[today] || (breakStats[today] = { skipped: 0, extended: 0 });
+            day[event] = (day[event] || 0) + 1;
+            await chrome.storage.local.set({ breakStats });
+        } catch (error) {
+            console.error('Failed to record break event:', error);
+        }
+    }
+    
+    startAlarm(seconds) {
+        chrome.alarms.clear('tomato-timer');
+        chrome.alarms.create('tomato-timer', { delayInMinutes: seconds / 60 });
+    }
+    
+    // Wakes the worker every minute so the badge of a count-up phase keeps
+    // moving while the popup is closed
+    startFlowAlarm() {
+        chrome.alarms.create('tomato-flow', { periodInMinutes: 1 });
+    }
+    
+    // Flow (count-up) methods
+    // A work session started in flow mode has no end time: it runs until the
+    // user finishes it and then earns a break proportional to its length
+    isCountUp() {
+        const session = this.timerState.session;
+        return this.timerState.currentPhase === 'work' && !!session && !!session.flow;
+    }
+    
+    getFocusedSeconds(session, now = Date.now()) {
+        return TimerPhases.getFocusedSeconds(session, now);
+    }
+    
+    getFlowBreakSeconds(focusedSeconds) {
+        return TimerPhases.getFlowBreakSeconds(focusedSeconds, this.settings.flowBreakRatio);
+    }
+    
+    async finishFlow() {
+        if (!this.isCountUp()) {
+            throw new Error('No flow session to finish');
+        }
+        await this.onTimerComplete();
+    }
+    
+    isTimerDue() {
+        // Guards against completing a phase twice, e.g. when both the alarm and
+        // the 1s interval notice the end, or the next phase was auto-started
+        return this.timerState.isRunning &&
+            this.timerState.endTime !== null &&
+            Date.now() >= this.timerState.endTime - 1000;
+    }
+    
+    async onTimerComplete({ autoStart = true, outcome = 'completed', reason = '' } = {}) {
+        const completedPhase = this.timerState.currentPhase;
+        // The phase really ended at endTime, even if the worker noticed later
+        const endedAt = outcome === 'completed' && this.timerState.endTime
+            ? new Date(Math.min(this.timerState.endTime, Date.now()))
+            : new Date();
+        // Measured before the session is recorded and cleared
+        const flowSeconds = this.isCountUp()
+            ? this.getFocusedSeconds(this.timerState.session, endedAt.getTime())
+            : null;
+        this.timerState.isRunning = false;
+        this.timerState.endTime = null;
+        this.timerState.blockingPausedUntil = null; // A pause of blocking ends with the phase
+        chrome.alarms.clear('tomato-flow');
+        
+        // Record the work session; only a completed one counts as a pomodoro
+        if (completedPhase === 'work') {
+            if (outcome === 'completed') {
+                await this.recordCompletedPomodoro(endedAt);
+                this.timerState.autoRunCount = (this.timerState.autoRunCount || 0) + 1;
+            } else {
+                await this.recordWorkSession(outcome, reason, endedAt);
+            }
+        }
+        
+        const autoStartNext = autoStart && this.shouldAutoStartNext(completedPhase);
+        const runLimitReached = completedPhase !== 'work' && this.isAutoRunLimitReached();
+        const extraMessages = [];
+        if (flowSeconds !== null) {
+            extraMessages.push(`本次专注 ${Math.round(flowSeconds / 60)} 分钟，可休息 ${this.getFlowBreakSeconds(flowSeconds) / 60} 分钟。`);
+        }
+        if (completedPhase === 'work' && outcome === 'completed') {
+            extraMessages.push(await this.checkDailyGoalReached());
+        }
+        if (runLimitReached) {
+            extraMessages.push(`已完成 ${this.timerState.autoRunCount} 个番茄，连续模式已停止。`);
+        }
+        if (completedPhase !== 'work' && this.isScheduledRunOver()) {
+            extraMessages.push('计划专注时段已结束，不再自动开始新的番茄。');
+        }
+        
+        // Show notification
+        await this.showNotification(
+            extraMessages.join(''),
+            this.getNotificationActions(completedPhase, autoStartNext),
+            flowSeconds !== null ? '短休息' : this.getNextPhaseName()
+        );
+        
+        // Play sound
+        await this.playNotificationSound(completedPhase);
+        
+        // Move to next phase
+        this.moveToNextPhase(flowSeconds);
+        
+        if (completedPhase === 'work') {
+            await this.openBreakPage();
+        } else if (this.settings.breakPageAutoClose) {
+            await this.closeBreakPage();
+        }
+        
+        if (autoStartNext) {
+            // startTimer saves state, updates blocking and the icon, and broadcasts
+            await this.startTimer();
+            return;
+        }
+        
+        if (completedPhase !== 'work') {
+            // The continuous run ends when the next work session is not auto-started
+            this.timerState.autoRunCount = 0;
+            this.timerState.scheduledUntil = null;
+        }
+        
+        await this.saveState();
+        await this.updateBlocking();
+        await this.updateTicking();
+        await this.updateIcon();
+        this.broadcastUpdate();
+    }
+    
+    shouldAutoStartNext(completedPhase) {
+        // A scheduled block runs continuously, whatever the auto-start settings
+        if (this.isScheduledRunActive()) {
+            return true;
+        }
+        if (completedPhase !== 'work' && this.isScheduledRunOver()) {
+            return false;
+        }
+        if (completedPhase === 'work') {
+            return !!this.settings.autoStartBreaks;
+        }
+        return !!this.settings.autoStartWork && !this.isAutoRunLimitReached();
+    }
+    
+    isAutoRunLimitReached() {
+        const limit = parseInt(this.settings.maxAutoPomodoros, 10);
+        return !!this.settings.autoStartWork &&
+            !this.isScheduledRunActive() &&
+            limit > 0 &&
+            (this.timerState.autoRunCount || 0) >= limit;
+    }
+    
+    isLongBreakDue() {
+        return TimerPhases.isLongBreakDue(this.timerState.currentCycle, this.settings.longBreakInterval);
+    }
+    
+    // flowSeconds is the focused time of a flow session that just ended
+    moveToNextPhase(flowSeconds = null) {
+        // Flow sessions earn a proportional break instead of a fixed one
+        const next = TimerPhases.getNextPhase(
+            this.timerState.currentPhase, this.timerState.currentCycle, this.settings, flowSeconds);
+        this.timerState.currentPhase = next.phase;
+        this.timerState.currentCycle = next.cycle;
+        this.timerState.timeRemaining = next.seconds;
+        this.timerState.phaseDuration = next.seconds;
+    }
+    
+    getCurrentPhaseDuration() {
+        switch (this.timerState.currentPhase) {
+            case 'work':
+                return this.settings.workDuration * 60;
+            case 'short-break':
+                return this.settings.shortBreakDuration * 60;
+            case 'long-break':
+                return this.settings.longBreakDuration * 60;
+            default:
+                return this.settings.workDuration * 60;
+        }
+    }
+    
+    updateTimeRemaining() {
+        if (this.timerState.isRunning && this.isCountUp()) {
+            const elapsed = this.getFocusedSeconds(this.timerState.session);
+            if (elapsed !== this.timerState.timeElapsed) {
+                this.timerState.timeElapsed = elapsed;
+                this.updateIcon();
+                this.broadcastUpdate();
+            }
+        } else if (this.timerState.isRunning && this.timerState.endTime) {
+            const now = Date.now();
+            const timeLeft = Math.max(0, Math.floor((this.timerState.endTime - now) / 1000));
+            
+            if (timeLeft !== this.timerState.timeRemaining) {
+                this.timerState.timeRemaining = timeLeft;
+                this.updateIcon(); // Update icon with new time
+                this.broadcastUpdate();
+                
+                if (timeLeft <= 0) {
+                    this.onTimerComplete();
                 }
             }
         }
     }
     
-    async showNotification() {
+    async showNotification(extraMessage = '', actions = [], nextPhase = this.getNextPhaseName()) {
         const phaseNames = {
             'work': '工作时间',
             'short-break': '短休息',
@@ -303,50 +1372,335 @@ class TomatoClockService {
         };
         
         const currentPhase = phaseNames[this.timerState.currentPhase];
-        const nextPhase = this.getNextPhaseName();
-        
+        await this.createNotification(`${currentPhase}结束！现在开始${nextPhase}。${extraMessage}`, actions);
+    }
+    
+    // persistent keeps the notification open until the user acts on it,
+    // whatever the persistentNotification setting
+    async createNotification(message, actions = [], { persistent = false } = {}) {
+        const requireInteraction = persistent || !!this.settings.persistentNotification;
         const notificationOptions = {
             type: 'basic',
-            iconUrl: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAYAAABzenr0AAAACXBIWXMAAA7EAAAOxAGVKw4bAAAF8klEQVRYhbWXe1BUVRzHP/fe3QUWFpYHyEtAQVFBHsrLR2qlqWnajBMz2mhlNo6NjdNYNs1Y05jWlP2RM7VN5TRZ6dholmlampXvQhTkqbwfAi67sOwuy+6995f3chdYQLLpN3PmnnN+53zP9/f4nXt+OujDh1+iqjA7HlJOQXIKiEhCG0gAEUi5A7GCYgGdDUa+gYkzp7g2YWqaO7+I+jcQRl5Y88/r8IfV8M7NFTZ8VEJDVjYd23NojxMxhiJvKmYNDwcjT/eBGbOGf6Hw7lBjvh7xANy0BFUl7O9JpWN7Nk2Fhdi+fhXlnftg3U3ICGDZGvgiiGWR8FwQrJsCNhvEJsL9W4BfO7WkJhg7GWZn0z5qlOJfkkSztIxPn0jjhTR4y/8+WJsOKUnw5mzk1qdRO2HQgNJKtElh1BCLELPn0WGxqJ3b42gV0sxmj7WfWslfFJQ7f0s6fJUI6hUZZNyGWCZ9A7PnNdXXjR1wLdPdhE/Xv0xQPcqEfyPa4VGhONi5Vd6GD33nWxcED0/ZlgqvNDvg3q5E0JBaWUlz2xt0zJhJy6ixNM+eS/PK1bQ7rIRvXcNHWX3HdDXeex54bSqsf0Fw93JkVm/m15E/H8b08uoJZNfZA9JCgR2rByzOxz9wRNYoFPkV8PDXg0ByPozthLyPe9vqAITcKj4EgLz7rBP3/1Jq5x/A7wPzx1GYOQKnFjJcW1WuWwxjkpXLAJJU4ZCjc6PZqMYHYwx2O6LlMHLKKJrLf3XpGMNjtm5CjWZwKlKe8TewGwJAJNJLfh8gOgc5aRT+7R24VVJ3q83sL+6XjOA6LlIKIUYyNrsQh1uXWmVcOJOUgk7q8fLMJGAORKJ3hOLe5w7mWGVciNEhKxCJJ8ABXFeCCKzpMy5E14O5E+8iCjHavVccPLIlbdPnY2kMQu9QFsXZgL8FjC1IPu4OjZeFNBVYG+kRsEm/2m5FOltdLZqjOJV7eJ9H4KxHJdJgAWsosuOOdIhXWw9wnwJHLmK3w8mTyEfKQOekzVFJ1bUV8PGVg4ItFkmvB/IM2OvsVe8GfAKEzRo8VGpqkcoOYPP5gdYOvw4A82FrMNJhRUZMoK2qBVy6iIJzYX3KeGQZGBtdOg5HLSgJYGvDfxRAjQG7FazN/QY9ACtD9AdAjxIzwOEb6LZM6PvEH4yvM8CdGUG4FAqaFazeWdQjgDEG7F4CtjqQMqGlEYT+v9YFyMlgq8FR0yP3fWoHtwCtHxjbiHCYSRNtrDMNZsJp9SoHRUOyotkQk8bTYu6iJi2VH7M9dtA7wKESdLkbQVhAh9xeDqIWsXSC9xGEFBwDDSMHCDEZuQSLr7F0/B9aPSJYm5TJ8O9+oibfPADi8qXggHYAAWGkM6vLMgGJgAMM/BoBbgE9SCFIsgNhIlQ2Y5l8jZPj0jgw5zJOp0xdVjzZXx/E1gyzrO5SV7bD31dBfj7Y25xGKMkgHZ8B90Pd+VnKjjG/bW5yKPGz+JLKEJLzz9EeKvFH9iWW3VdEe2w8xjjRhU9WVYs7RW7eB/8M5DPQKGFrBmFDEEjnNqn/0i3uLXCPP/DKEjjwDfzm3b9mRaKi9eJ0P6SolLXc8rFpyfpOXMqPvp2jdkc2lOJZ3hEDFxeQJAVNwJljoA7a2vHfGqq8yOVRSDEpmEqE9y5jKj9MylNGbEn/RnJHdQDf1V3OlWwdKdEz8xqZdY2ymdV3K9dU1qJ7cTlSaQnOuE+qJGfm+s/LLedocnG0qRfS/qggHV0KMx9DnF9R1k83ILKG9sRkmvJv4uJrBxj/y9e0p6Zhn3cIJ0hpOVSfjhSI7LEjcjNlbyRAWY2yDzKx9kA6DLNfLfDK9Z3n95ixOLTKWDyQGkNYkEjKPWH4pJr/1/4jh/wJr/iGEftT7EkAAAAASUVORK5CYII=',
+            iconUrl: NOTIFICATION_ICON_URL,
             title: '🍅 番茄工作法计时器',
-            message: `${currentPhase}结束！现在开始${nextPhase}。`,
+            message,
+            buttons: actions.map(action => ({ title: NOTIFICATION_BUTTON_TITLES[action] })),
+            requireInteraction,
             priority: 2
         };
         
+        // Button clicks may arrive after the worker restarted, so the
+        // actions are saved with the timer state
+        this.timerState.notificationActions = actions;
+        
+        // The auto-clear of the notification being replaced must not close this one
+        clearTimeout(this.notificationClearTimer);
+        this.notificationClearTimer = null;
+        
+        try {
+            // Replace a notification left open from the previous phase
+            await chrome.notifications.clear('tomato-timer');
+            await chrome.notifications.create('tomato-timer', notificationOptions);
+            
+            if (!requireInteraction) {
+                // Auto-clear notification after 5 seconds
+                this.notificationClearTimer = setTimeout(() => {
+                    this.notificationClearTimer = null;
+                    chrome.notifications.clear('tomato-timer');
+                }, 5000);
+            }
+        } catch (error) {
+            console.error('Failed to create notification:', error);
+        }
+    }
+    
+    // Buttons offered when completedPhase ends; the next phase may already be running
+    getNotificationActions(completedPhase, nextStarted) {
+        if (completedPhase === 'work') {
+            return nextStarted ? ['extend-break'] : ['start-break', 'snooze'];
+        }
+        return nextStarted ? [] : ['start-work', 'snooze'];
+    }
+    
+    async handleNotificationButton(buttonIndex) {
+        const action = (this.timerState.notificationActions || [])[buttonIndex];
+        chrome.notifications.clear('tomato-timer');
+        
+        try {
+            // Ignore buttons that no longer fit the timer, e.g. the user
+            // already started the phase from the popup
+            const isBreak = this.timerState.currentPhase !== 'work';
+            switch (action) {
+                case 'start-break':
+                case 'start-work':
+                    if (!this.timerState.isRunning && isBreak === (action === 'start-break')) {
+                        await this.startTimer();
+                    }
+                    break;
+                    
+                case 'snooze':
+                    if (!this.timerState.isRunning) {
+                        await this.snoozeNotification();
+                    }
+                    break;
+                    
+                case 'extend-break':
+                    if (isBreak) {
+                        await this.extendBreak(5);
+                    }
+                    break;
+                    
+                case 'discard-idle':
+                    await this.discardIdleTime();
+                    break;
+                    
+                case 'abandon-idle':
+                    // A later pomodoro without time away is left alone
+                    if (!isBreak && this.timerState.session && (this.timerState.session.idle || []).length > 0) {
+                        await this.resetTimer('离开电脑');
+                    }
+                    break;
+            }
+        } catch (error) {
+            console.error('Failed to handle notification button:', error);
+        }
+    }
+    
+    // Only the idle prompt does something when clicked: carry on as before
+    async handleNotificationClick() {
+        if (!(this.timerState.notificationActions || []).includes('discard-idle')) {
+            return;
+        }
+        
+        chrome.notifications.clear('tomato-timer');
+        this.timerState.notificationActions = [];
+        try {
+            if (!this.timerState.isRunning && this.timerState.currentPhase === 'work' && this.timerState.session) {
+                await this.startTimer();
+            } else {
+                await this.saveState();
+            }
+        } catch (error) {
+            console.error('Failed to handle notification click:', error);
+        }
+    }
+    
+    // Reminds the user to start the current phase again in 5 minutes
+    async snoozeNotification() {
+        this.timerState.snoozedPhase = this.timerState.currentPhase;
+        chrome.alarms.create('tomato-snooze', { delayInMinutes: 5 });
+        await this.saveState();
+    }
+    
+    async remindSnoozedPhase() {
+        const phase = this.timerState.snoozedPhase;
+        this.timerState.snoozedPhase = null;
+        if (!phase || this.timerState.isRunning || phase !== this.timerState.currentPhase) {
+            await this.saveState();
+            return;
+        }
+        
+        const isWork = phase === 'work';
+        await this.createNotification(
+            isWork ? '休息已经结束 5 分钟了，准备好开始下一个番茄了吗？' : '该休息了，准备好开始休息了吗？',
+            [isWork ? 'start-work' : 'start-break', 'snooze']
+        );
+        await this.saveState();
+    }
+    
+    getNextPhaseName() {
+        if (this.timerState.currentPhase === 'work') {
+            return this.isLongBreakDue() ? '长休息' : '短休息';
+        } else {
+            return '工作时间';
+        }
+    }
+    
+    // Sound methods
+    // AudioContext is not available in service workers, so sounds are played
+    // by an offscreen document, which works while the popup is closed
+    async playNotificationSound(completedPhase) {
+        const sound = completedPhase === 'work' ? this.settings.workEndSound : this.settings.breakEndSound;
+        await this.playSound(sound, this.settings.volume);
+    }
+    
+    async playSound(sound, volume = this.settings.volume) {
+        if (!sound || sound === 'none') {
+            return;
+        }
+        
+        let dataUrl = null;
+        if (sound === 'custom') {
+            // Uploaded sounds are stored locally by the popup; fall back to the bell
+            const result = await chrome.storage.local.get(['customSound']);
+            dataUrl = result.customSound ? result.customSound.dataUrl : null;
+        }
+        
+        await this.sendToOffscreen({
+            type: 'PLAY_SOUND',
+            sound: sound,
+            dataUrl: dataUrl,
+            volume: Math.min(100, Math.max(0, volume)) / 100
+        });
+    }
+    
+    async updateTicking() {
+        const shouldTick = !!this.settings.tickingSound &&
+            this.timerState.isRunning &&
+            this.timerState.currentPhase === 'work';
+        
+        if (shouldTick) {
+            await this.sendToOffscreen({ type: 'START_TICKING', volume: this.settings.volume / 100 });
+        } else if (await this.hasOffscreenDocument()) {
+            // No need to open the document just to keep it quiet
+            await this.sendToOffscreen({ type: 'STOP_TICKING' });
+        }
+    }
+    
+    async hasOffscreenDocument() {
+        try {
+            const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+            return contexts.length > 0;
+        } catch (error) {
+            console.error('Failed to query offscreen document:', error);
+            return false;
+        }
+    }
+    
+    async ensureOffscreenDocument() {
+        if (await this.hasOffscreenDocument()) {
+            return;
+        }
+        
+        // Only one offscreen document may exist, so concurrent callers share one creation
+        if (!this.offscreenCreating) {
+            this.offscreenCreating = chrome.offscreen.createDocument({
+                url: 'offscreen.html',
+                reasons: ['AUDIO_PLAYBACK'],
+                justification: 'Play timer sounds while the popup is closed'
+            }).finally(() => {
+                this.offscreenCreating = null;
+            });
+        }
+        await this.offscreenCreating;
+    }
+    
+    async sendToOffscreen(message) {
+        try {
+            await this.ensureOffscreenDocument();
+            await chrome.runtime.sendMessage({ target: 'offscreen', ...message });
+        } catch (error) {
+            console.error('Failed to send message to offscreen document:', error);
+        }
+    }
+    
+    broadcastTasks() {
+        chrome.runtime.sendMessage({
+            type: 'TASKS_UPDATE',
+            data: { tasks: this.tasks, activeTaskId: this.timerState.activeTaskId }
+        }).catch(() => {
+            // Popup might not be open, ignore error
+        });
+    }
+    
+    broadcastPresets() {
+        chrome.runtime.sendMessage({
+            type: 'PRESETS_UPDATE',
+            data: { presets: this.presets }
+        }).catch(() => {
+            // Popup might not be open, ignore error
+        });
+    }
+    
+    broadcastSettings() {
+        chrome.runtime.sendMessage({
+            type: 'SETTINGS_UPDATE',
+            data: { settings: this.settings }
+        }).catch(() => {
+            // Popup might not be open, ignore error
+        });
+    }
+    
+    broadcastCategories() {
+        chrome.runtime.sendMessage({
+            type: 'CATEGORIES_UPDATE',
+            data: { categories: this.categories }
+        }).catch(() => {
+            // Popup might not be open, ignore error
+        });
+    }
+    
+    // Today's and this week's completed pomodoros from every device
+    async getGoalProgress() {
+        const today = HistoryAnalysis.formatDate(new Date());
+        const weekStart = HistoryAnalysis.getWeekStart(today);
+        const progress = {
+            date: today,
+            today: 0,
+            dailyGoal: HistoryAnalysis.getDailyGoal(this.settings, today),
+            week: 0,
+            weeklyGoal: this.settings.weeklyGoal || 0
+        };
+        
         try {
-            await chrome.notifications.create('tomato-timer', notificationOptions);
-            
-            // Auto-clear notification after 5 seconds
-            setTimeout(() => {
-                chrome.notifications.clear('tomato-timer');
-            }, 5000);
+            const days = await this.syncService.getDailyStats(weekStart, today);
+            progress.today = days[today] ? days[today].pomodoros : 0;
+            progress.week = Object.values(days).reduce((sum, day) => sum + day.pomodoros, 0);
         } catch (error) {
-            console.error('Failed to create notification:', error);
+            console.error('Failed to get goal progress:', error);
         }
+        return progress;
     }
     
-    getNextPhaseName() {
-        if (this.timerState.currentPhase === 'work') {
-            return this.timerState.currentCycle % 4 === 0 ? '长休息' : '短休息';
-        } else {
-            return '工作时间';
+    // Returns a notification line the first time today's goal is met
+    async checkDailyGoalReached() {
+        const progress = await this.getGoalProgress();
+        if (progress.dailyGoal === 0 || progress.today < progress.dailyGoal) {
+            return '';
+        }
+        
+        try {
+            const result = await chrome.storage.local.get(['goalNotifiedDate']);
+            if (result.goalNotifiedDate === progress.date) {
+                return '';
+            }
+            await chrome.storage.local.set({ goalNotifiedDate: progress.date });
+        } catch (error) {
+            console.error('Failed to save goal notification date:', error);
         }
+        return `🎯 今日目标 ${progress.dailyGoal} 个番茄已达成！`;
     }
     
-    playNotificationSound() {
-        // AudioContext is not available in service workers
-        // Instead, we'll send a message to the popup to play sound
-        // or rely on the system notification sound
+    // Streaks use local history merged with the synced stats of all devices,
+    // which only cover the last year
+    async getStreaks() {
+        const dayCounts = {};
         try {
-            chrome.runtime.sendMessage({
-                type: 'PLAY_SOUND'
-            }).catch(() => {
-                // Popup might not be open, ignore error
-                console.log('Could not send sound message to popup - popup may be closed');
+            await this.historyStore.iterate(null, null, record => {
+                if (this.isCompletedRecord(record)) {
+                    dayCounts[record.date] = (dayCounts[record.date] || 0) + 1;
+                }
+            });
+            
+            const syncedDays = await this.syncService.getDailyStats();
+            Object.entries(syncedDays).forEach(([date, day]) => {
+                // Synced totals include this device, so they never fall below local counts
+                dayCounts[date] = Math.max(dayCounts[date] || 0, day.pomodoros);
             });
         } catch (error) {
-            console.log('Sound playback not available in service worker');
+            console.error('Failed to compute streaks:', error);
         }
+        
+        return HistoryAnalysis.computeStreaks(dayCounts, this.settings, HistoryAnalysis.formatDate(new Date()));
+    }
+    
+    async broadcastGoalProgress() {
+        chrome.runtime.sendMessage({
+            type: 'GOAL_UPDATE',
+            data: await this.getGoalProgress()
+        }).catch(() => {
+            // Popup might not be open, ignore error
+        });
     }
     
     broadcastUpdate() {
@@ -369,9 +1723,11 @@ class TomatoClockService {
                 return;
             }
             
-            // Format remaining time for badge
-            const minutes = Math.floor(this.timerState.timeRemaining / 60);
-            const seconds = this.timerState.timeRemaining % 60;
+            // Format remaining time for badge, or the time focused so far when counting up
+            const countUp = this.isCountUp();
+            const shownSeconds = countUp ? this.timerState.timeElapsed : this.timerState.timeRemaining;
+            const minutes = Math.floor(shownSeconds / 60);
+            const seconds = shownSeconds % 60;
             const timeText = minutes > 0 ? `${minutes}m` : `${seconds}s`;
             
             // Set badge text and color based on phase
@@ -381,7 +1737,9 @@ class TomatoClockService {
             switch (this.timerState.currentPhase) {
                 case 'work':
                     badgeColor = '#e53e3e'; // Red for work
-                    title = `工作时间 - ${minutes}:${seconds.toString().padStart(2, '0')}`;
+                    title = countUp
+                        ? `心流专注 - 已专注 ${minutes}:${seconds.toString().padStart(2, '0')}`
+                        : `工作时间 - ${minutes}:${seconds.toString().padStart(2, '0')}`;
                     break;
                 case 'short-break':
                     badgeColor = '#38a169'; // Green for short break
@@ -404,70 +1762,691 @@ class TomatoClockService {
         }
     }
     
-    // History tracking methods
-    async recordCompletedPomodoro() {
-        if (!this.sessionStartTime) {
-            this.sessionStartTime = new Date(Date.now() - (this.settings.workDuration * 60 * 1000));
+    // Task management methods
+    getTask(taskId) {
+        return this.tasks.find(task => task.id === taskId) || null;
+    }
+    
+    async saveTask(taskData) {
+        if (!taskData || !String(taskData.title || '').trim()) {
+            throw new Error('Task title is required');
+        }
+        
+        let task = taskData.id ? this.getTask(taskData.id) : null;
+        const fields = {
+            title: String(taskData.title).trim(),
+            type: taskData.type || '工作',
+            estimatedPomodoros: Math.max(1, parseInt(taskData.estimatedPomodoros, 10) || 1),
+            completed: !!taskData.completed,
+            archived: !!taskData.archived,
+            // Page the task was started from; the task form does not send it
+            url: taskData.url !== undefined ? taskData.url || null : (task ? task.url || null : null)
+        };
+        
+        // New and restored tasks take a place in sync, which may be full
+        if (!task || (task.archived && !fields.archived)) {
+            await this.syncService.makeRoomForTask();
+        }
+        
+        if (task) {
+            Object.assign(task, fields);
+        } else {
+            task = {
+                id: `task-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                completedPomodoros: 0,
+                createdAt: new Date().toISOString(),
+                ...fields
+            };
+            this.tasks.push(task);
+        }
+        
+        // A finished or archived task can no longer be worked on
+        if ((task.completed || task.archived) && this.timerState.activeTaskId === task.id) {
+            await this.setActiveTask(null);
+        }
+        
+        await this.persistTask(task);
+        return task;
+    }
+    
+    async deleteTask(taskId) {
+        this.tasks = this.tasks.filter(task => task.id !== taskId);
+        if (this.timerState.activeTaskId === taskId) {
+            await this.setActiveTask(null);
+        }
+        
+        try {
+            await this.syncService.deleteTask(taskId);
+        } catch (error) {
+            console.error('Failed to delete task:', error);
+        }
+        this.broadcastTasks();
+    }
+    
+    async setActiveTask(taskId) {
+        const task = taskId ? this.getTask(taskId) : null;
+        this.timerState.activeTaskId = task ? task.id : null;
+        await this.applyCategoryPreset(task ? task.type : this.timerState.taskType || '工作');
+        await this.saveState();
+        this.broadcastUpdate();
+    }
+    
+    // Preset methods
+    getPreset(presetId) {
+        return this.presets.find(preset => preset.id === presetId) || null;
+    }
+    
+    getActivePresetInfo() {
+        const preset = this.getPreset(this.settings.activePresetId);
+        return preset ? { id: preset.id, name: preset.name } : null;
+    }
+    
+    async setPresets(presets) {
+        this.presets = TimerPresets.validate(presets);
+        await this.savePresets();
+        
+        // Categories must not point at deleted presets
+        if (this.categories.some(category => category.presetId && !this.getPreset(category.presetId))) {
+            this.categories = this.categories.map(category =>
+                category.presetId && !this.getPreset(category.presetId) ? { ...category, presetId: null } : category
+            );
+            await this.saveCategories();
+        }
+        
+        // Keep the durations in step with an edited active preset
+        if (this.settings.activePresetId) {
+            if (this.getPreset(this.settings.activePresetId)) {
+                await this.applyPreset(this.settings.activePresetId);
+            } else {
+                this.settings.activePresetId = null;
+                await this.saveSettings();
+                this.broadcastSettings();
+            }
+        }
+    }
+    
+    // Switches the phase durations to a preset. A phase that has not started
+    // yet takes the new length at once; a running one keeps its length.
+    async applyPreset(presetId) {
+        const preset = this.getPreset(presetId);
+        if (!preset) {
+            throw new Error(`Unknown preset: ${presetId}`);
+        }
+        
+        this.settings = TimerPresets.apply(this.settings, preset);
+        await this.saveSettings();
+        
+        if (TimerPresets.isPhaseUnstarted(this.timerState)) {
+            this.timerState.timeRemaining = this.getCurrentPhaseDuration();
+            this.timerState.phaseDuration = this.timerState.timeRemaining;
+            await this.saveState();
+            await this.updateIcon();
+            this.broadcastUpdate();
+        }
+        this.broadcastSettings();
+    }
+    
+    // Applies the default preset of a task category, unless a work session is under way
+    async applyCategoryPreset(categoryName) {
+        const preset = TimerPresets.getCategoryPreset(
+            this.presets, this.categories, categoryName, this.settings, this.timerState);
+        if (preset) {
+            await this.applyPreset(preset.id);
+        }
+    }
+    
+    // Category management methods
+    validateCategories(categories) {
+        if (!Array.isArray(categories) || categories.length === 0) {
+            throw new Error('At least one category is required');
+        }
+        
+        const names = new Set();
+        return categories.map(category => {
+            const name = String(category.name || '').trim();
+            if (!name) {
+                throw new Error('Category name is required');
+            }
+            if (names.has(name)) {
+                throw new Error(`Duplicate category: ${name}`);
+            }
+            names.add(name);
+            
+            const color = /^#[0-9a-f]{6}$/i.test(category.color) ? category.color : '#718096';
+            return {
+                name,
+                color,
+                nonWork: !!category.nonWork, // Counted apart in focus quality
+                presetId: this.getPreset(category.presetId) ? category.presetId : null // Default preset
+            };
+        });
+    }
+    
+    // Handles add, recolour, reorder and delete by replacing the whole list
+    async setCategories(categories) {
+        this.categories = this.validateCategories(categories);
+        await this.saveCategories();
+    }
+    
+    async renameCategory(oldName, newName) {
+        const name = String(newName || '').trim();
+        const category = this.categories.find(c => c.name === oldName);
+        if (!category) {
+            throw new Error(`Unknown category: ${oldName}`);
+        }
+        if (name === oldName) {
+            return;
+        }
+        
+        this.categories = this.validateCategories(this.categories.map(c =>
+            c.name === oldName ? { ...c, name } : c
+        ));
+        await this.saveCategories();
+        
+        // Keep tasks and history pointing at the renamed category
+        for (const task of this.tasks.filter(t => t.type === oldName)) {
+            task.type = name;
+            await this.persistTask(task);
+        }
+        
+        if (this.timerState.taskType === oldName) {
+            this.timerState.taskType = name;
+            await this.saveState();
+        }
+        
+        await this.updateHistoryRecords(record =>
+            record.type === oldName ? { ...record, type: name } : record
+        );
+    }
+    
+    // Site blocking methods
+    async loadBlockingSettings() {
+        try {
+            const result = await chrome.storage.sync.get(['siteBlocking']);
+            if (result.siteBlocking) {
+                this.blockingSettings = { ...DEFAULT_BLOCKING_SETTINGS, ...result.siteBlocking };
+            }
+        } catch (error) {
+            console.error('Failed to load blocking settings:', error);
+        }
+    }
+    
+    // Normalizes both lists; patterns that cannot be used are returned, not saved
+    async setBlockingSettings(settings) {
+        const invalid = [];
+        const normalizeList = (list) => {
+            const patterns = [];
+            (Array.isArray(list) ? list : []).forEach(input => {
+                if (!String(input).trim()) {
+                    return;
+                }
+                const pattern = SiteBlocker.normalizePattern(input);
+                if (!pattern) {
+                    invalid.push(String(input).trim());
+                } else if (!patterns.includes(pattern)) {
+                    patterns.push(pattern);
+                }
+            });
+            return patterns;
+        };
+        
+        this.blockingSettings = {
+            enabled: !!settings.enabled,
+            strictMode: !!settings.strictMode,
+            blocklist: normalizeList(settings.blocklist),
+            allowlist: normalizeList(settings.allowlist)
+        };
+        
+        try {
+            await chrome.storage.sync.set({ siteBlocking: this.blockingSettings });
+        } catch (error) {
+            console.error('Failed to save blocking settings:', error);
+        }
+        await this.updateBlocking();
+        return { settings: this.blockingSettings, invalid };
+    }
+    
+    isBlockingActive() {
+        return this.blockingSettings.enabled &&
+            this.timerState.isRunning &&
+            this.timerState.currentPhase === 'work' &&
+            !(this.timerState.blockingPausedUntil > Date.now());
+    }
+    
+    async updateBlocking() {
+        try {
+            await this.siteBlocker.update(this.isBlockingActive(), this.blockingSettings);
+        } catch (error) {
+            console.error('Failed to update blocking rules:', error);
+        }
+    }
+    
+    // The escape hatch: lifts blocking for a minute and logs that it was used
+    async pauseBlocking(url = '') {
+        if (!this.isBlockingActive()) {
+            return this.timerState.blockingPausedUntil;
+        }
+        
+        const pausedUntil = Date.now() + 60 * 1000;
+        this.timerState.blockingPausedUntil = pausedUntil;
+        if (this.timerState.session) {
+            this.timerState.session.blockingPauses = (this.timerState.session.blockingPauses || 0) + 1;
         }
+        chrome.alarms.create('tomato-blocking', { when: pausedUntil });
         
+        try {
+            const result = await chrome.storage.local.get(['blockingLog']);
+            const log = result.blockingLog || [];
+            log.push({ time: new Date().toISOString(), url: String(url).slice(0, 500) });
+            await chrome.storage.local.set({ blockingLog: log.slice(-200) }); // Keep the log small
+        } catch (error) {
+            console.error('Failed to log blocking pause:', error);
+        }
+        
+        await this.saveState();
+        await this.updateBlocking();
+        return pausedUntil;
+    }
+    
+    async resumeBlocking() {
+        this.timerState.blockingPausedUntil = null;
+        await this.saveState();
+        await this.updateBlocking();
+    }
+    
+    async getBlockingPausesToday() {
+        try {
+            const today = HistoryAnalysis.formatDate(new Date());
+            const result = await chrome.storage.local.get(['blockingLog']);
+            return (result.blockingLog || [])
+                .filter(entry => HistoryAnalysis.formatDate(new Date(entry.time)) === today)
+                .length;
+        } catch (error) {
+            console.error('Failed to read blocking log:', error);
+            return 0;
+        }
+    }
+    
+    // Schedule methods
+    // The next block start is always kept as one alarm; when it fires the
+    // block starts a run that continues until the block's end
+    async loadSchedule() {
+        try {
+            const result = await chrome.storage.sync.get(['workSchedule']);
+            if (result.workSchedule) {
+                this.schedule = { ...DEFAULT_SCHEDULE, ...result.workSchedule };
+            }
+        } catch (error) {
+            console.error('Failed to load schedule:', error);
+        }
+    }
+    
+    async setSchedule(schedule) {
+        this.schedule = WorkSchedule.validate(schedule || {});
+        
+        try {
+            await chrome.storage.sync.set({ workSchedule: this.schedule });
+        } catch (error) {
+            console.error('Failed to save schedule:', error);
+        }
+        await this.skipCurrentBlock();
+        await this.scheduleNextBlock();
+        return this.getScheduleInfo();
+    }
+    
+    // The schedule with its current and next block as timestamps, for the popup
+    getScheduleInfo() {
         const now = new Date();
+        const toTimes = block => (block ? { start: block.start.getTime(), end: block.end.getTime() } : null);
+        return {
+            schedule: this.schedule,
+            currentBlock: this.schedule.enabled ? toTimes(WorkSchedule.findCurrentBlock(this.schedule, now)) : null,
+            nextBlock: this.schedule.enabled ? toTimes(WorkSchedule.findNextBlock(this.schedule, now)) : null
+        };
+    }
+    
+    async scheduleNextBlock() {
+        await chrome.alarms.clear('tomato-schedule');
+        const next = this.schedule.enabled ? WorkSchedule.findNextBlock(this.schedule, new Date()) : null;
+        if (next) {
+            chrome.alarms.create('tomato-schedule', { when: next.start.getTime() });
+        }
+    }
+    
+    async startScheduledBlock() {
+        // Nothing starts when the schedule changed or today became a holiday
+        const block = this.schedule.enabled ? WorkSchedule.findCurrentBlock(this.schedule, new Date()) : null;
+        await this.scheduleNextBlock();
+        if (!block) {
+            return;
+        }
+        
+        this.timerState.scheduledUntil = block.end.getTime();
+        this.timerState.lastScheduledStart = block.start.getTime();
+        if (this.timerState.isRunning) {
+            // Already running: the run simply continues through the block
+            await this.saveState();
+            return;
+        }
+        
+        if (this.timerState.currentPhase !== 'work') {
+            // A break that is not running gives way to the block
+            this.moveToNextPhase();
+        }
+        this.timerState.autoRunCount = 0;
+        
+        const time = date => WorkSchedule.formatTime(date.getHours() * 60 + date.getMinutes());
+        await this.showCommandResult(`计划专注时段 ${time(block.start)}–${time(block.end)} 开始，番茄已自动开始`);
+        await this.startTimer();
+    }
+    
+    // The alarm of a block that began while the browser was closed never
+    // fired; start it late, unless it was started or skipped already
+    async startMissedBlock() {
+        const block = this.schedule.enabled ? WorkSchedule.findCurrentBlock(this.schedule, new Date()) : null;
+        if (block && block.start.getTime() !== this.timerState.lastScheduledStart) {
+            await this.startScheduledBlock();
+        } else {
+            await this.scheduleNextBlock();
+        }
+    }
+    
+    // A block already under way when the schedule changes is not started
+    // late; it starts again next time round
+    async skipCurrentBlock() {
+        const block = this.schedule.enabled ? WorkSchedule.findCurrentBlock(this.schedule, new Date()) : null;
+        if (block && block.start.getTime() !== this.timerState.lastScheduledStart) {
+            this.timerState.lastScheduledStart = block.start.getTime();
+            await this.saveState();
+        }
+    }
+    
+    isScheduledRunActive() {
+        return !!this.timerState.scheduledUntil && Date.now() < this.timerState.scheduledUntil;
+    }
+    
+    // A scheduled run whose block is over starts no new cycles, if so configured
+    isScheduledRunOver() {
+        return !!this.timerState.scheduledUntil &&
+            Date.now() >= this.timerState.scheduledUntil &&
+            !!this.schedule.stopAfterBlock;
+    }
+    
+    // History tracking methods
+    async recordCompletedPomodoro(endedAt = new Date()) {
+        await this.recordWorkSession('completed', '', endedAt);
+    }
+    
+    // outcome is 'completed', 'skipped' or 'abandoned'
+    async recordWorkSession(outcome, reason = '', endedAt = new Date()) {
+        const session = this.timerState.session;
+        const taskType = this.timerState.taskType;
+        this.timerState.session = null;
+        this.timerState.taskType = null;
+        
+        // A work session that never started is not worth recording
+        if (!session && outcome !== 'completed') {
+            return;
+        }
+        
+        const scheduledSeconds = this.timerState.phaseDuration || this.settings.workDuration * 60;
+        const startedAt = session
+            ? new Date(session.startedAt)
+            : new Date(endedAt.getTime() - scheduledSeconds * 1000);
+        
+        // A pause still open when the session ends lasts until the end
+        const pauses = (session ? session.pauses : []).map(pause => ({
+            start: pause.start,
+            end: pause.end || endedAt.toISOString()
+        }));
+        const focusedSeconds = session ? this.getFocusedSeconds(session, endedAt.getTime()) : scheduledSeconds;
+        // A flow session plans nothing ahead, its length is the time focused
+        const flow = !!(session && session.flow);
+        const plannedSeconds = flow ? focusedSeconds : scheduledSeconds;
+        const activity = session ? this.flushActivity(session, endedAt.getTime()) : {};
+        
+        if (focusedSeconds <= 0 && outcome !== 'completed') {
+            return;
+        }
+        
         const record = {
-            id: Date.now(),
-            date: now.toISOString().split('T')[0], // YYYY-MM-DD format
-            startTime: this.sessionStartTime.toTimeString().slice(0, 5), // HH:MM format
-            duration: this.settings.workDuration,
-            type: this.currentTaskType || '工作'
+            id: this.createRecordId(),
+            date: HistoryAnalysis.formatDate(startedAt), // YYYY-MM-DD in the user's timezone
+            startTime: startedAt.toISOString(),
+            endTime: endedAt.toISOString(),
+            pauses: pauses,
+            focusedSeconds: focusedSeconds,
+            duration: Math.round(focusedSeconds / 60 * 10) / 10, // Focused minutes
+            plannedDuration: Math.round(plannedSeconds / 60),
+            outcome: outcome,
+            reason: String(reason || '').trim(),
+            blockingPauses: session ? session.blockingPauses || 0 : 0, // Uses of "pause blocking"
+            type: taskType || '工作',
+            taskId: null,
+            url: null, // Page the task was started from
+            // Seconds per site, '' for time outside the browser; only with activity tracking on
+            activity: Object.keys(activity).length > 0 ? activity : null,
+            preset: session && session.preset !== undefined ? session.preset : this.getActivePresetInfo(), // { id, name } or null
+            adjustments: session ? session.adjustments || [] : [], // [{ at, minutes }] added or removed while running
+            // Time away from the computer, [{ start, end, discarded }]; discarded spans are also pauses
+            idle: (session ? session.idle || [] : []).map(span => ({
+                start: span.start,
+                end: span.end || endedAt.toISOString(),
+                discarded: !!span.discarded
+            })),
+            flow: flow // Counted up in flow mode instead of down
         };
         
+        const activeTask = this.getTask(this.timerState.activeTaskId);
+        if (activeTask) {
+            record.type = activeTask.type;
+            record.taskId = activeTask.id;
+            record.url = activeTask.url || null;
+            if (outcome === 'completed') {
+                activeTask.completedPomodoros = (activeTask.completedPomodoros || 0) + 1;
+                try {
+                    await this.syncService.incrementTaskCount(activeTask.id);
+                } catch (error) {
+                    console.error('Failed to sync task progress:', error);
+                }
+                this.broadcastTasks();
+            }
+        }
+        
         try {
-            const result = await chrome.storage.sync.get(['history']);
-            const history = result.history || [];
-            history.push(record);
-            
-            // Keep only last 1000 records to avoid storage limits
-            const limitedHistory = history.slice(-1000);
-            
-            await chrome.storage.sync.set({ history: limitedHistory });
-            console.log('Pomodoro recorded:', record);
+            await this.historyStore.add(record);
+            console.log('Work session recorded:', record);
         } catch (error) {
             console.error('Failed to record pomodoro:', error);
-            // Fallback to local storage if sync fails
-            try {
-                const result = await chrome.storage.local.get(['history']);
-                const history = result.history || [];
-                history.push(record);
-                const limitedHistory = history.slice(-1000);
-                await chrome.storage.local.set({ history: limitedHistory });
-            } catch (localError) {
-                console.error('Failed to record pomodoro to local storage:', localError);
-            }
         }
         
-        // Reset session start time
-        this.sessionStartTime = null;
+        try {
+            await this.syncService.recordDay(record.date, record.duration, outcome === 'completed');
+        } catch (error) {
+            console.error('Failed to sync daily stats:', error);
+        }
+    }
+    
+    // History records are keyed by id, so two records must never share one:
+    // the time in milliseconds times 1000 plus a random part, and always
+    // above the previous id in case both fall in the same millisecond
+    createRecordId() {
+        const id = Date.now() * 1000 + Math.floor(Math.random() * 1000);
+        this.lastRecordId = Math.max(id, this.lastRecordId + 1);
+        return this.lastRecordId;
     }
     
-    async getHistory() {
+    // One-time move of the old `history` arrays from chrome.storage.sync and
+    // chrome.storage.local into IndexedDB, merging both copies by id
+    async migrateHistory() {
         try {
-            // Try sync storage first
-            const syncResult = await chrome.storage.sync.get(['history']);
-            if (syncResult.history && syncResult.history.length > 0) {
-                return syncResult.history;
+            const flags = await chrome.storage.local.get(['historyMigrated']);
+            if (flags.historyMigrated) {
+                return;
             }
             
-            // Fallback to local storage
+            // Every device imports the synced array, which all of them shared,
+            // but only the first to migrate counts it in its synced stats
+            const syncResult = await chrome.storage.sync.get(['history', 'legacyHistoryOwner']);
             const localResult = await chrome.storage.local.get(['history']);
-            return localResult.history || [];
+            const deviceId = this.syncService.deviceId;
+            let owner = syncResult.legacyHistoryOwner;
+            if (!owner && (syncResult.history || []).length > 0) {
+                owner = deviceId;
+                await chrome.storage.sync.set({ legacyHistoryOwner: owner });
+            }
+            
+            const recordsById = new Map();
+            (syncResult.history || []).forEach(record => {
+                const migrated = HistoryImport.migrateRecord(record);
+                if (owner !== deviceId) {
+                    migrated.countedBy = owner;
+                }
+                recordsById.set(record.id, migrated);
+            });
+            // Records kept locally when a sync write failed are this device's own
+            (localResult.history || []).forEach(record => {
+                recordsById.set(record.id, HistoryImport.migrateRecord(record));
+            });
+            
+            await this.historyStore.bulkPut([...recordsById.values()]);
+            await chrome.storage.local.set({ historyMigrated: true });
+            // The synced array stays for devices that upgrade later; nothing
+            // writes it any more and it is a single item of at most 8 KB
+            await chrome.storage.local.remove(['history', 'historyVersion']);
+            console.log(`Migrated ${recordsById.size} history records to IndexedDB`);
+        } catch (error) {
+            // The old arrays are kept, so the migration is retried on next start
+            console.error('Failed to migrate history:', error);
+        }
+    }
+    
+    async getHistory(from = null, to = null) {
+        try {
+            return await this.historyStore.getRange(from, to);
         } catch (error) {
             console.error('Failed to get history:', error);
             return [];
         }
     }
     
+    // Records written before outcomes were tracked were always completed
+    isCompletedRecord(record) {
+        return !record.outcome || record.outcome === 'completed';
+    }
+    
+    // Aggregates a date range by streaming records instead of returning them
+    async getHistorySummary(from = null, to = null) {
+        const summary = {
+            sessionCount: 0,
+            completedCount: 0,
+            interruptedCount: 0,
+            totalMinutes: 0,
+            typeCount: {}, // Completed pomodoros per task type
+            domainCount: {}, // Completed pomodoros per site, for records with a url
+            focusQuality: HistoryAnalysis.createFocusQuality(), // Tracked time by site, all outcomes
+            reasonCount: {}, // Interruptions per reason
+            days: {}, // { date: { pomodoros, minutes } } for calendar views
+            hourGrid: HistoryAnalysis.createHourGrid(), // Completed pomodoros by weekday and start hour
+            peakWindows: [],
+            peakWeekday: null,
+            skippedBreaks: 0
+        };
+        
+        // Each site is matched against the block lists once per summary
+        const blockedDomains = {};
+        const isBlockedDomain = domain => {
+            if (!(domain in blockedDomains)) {
+                blockedDomains[domain] = SiteBlocker.isBlockedUrl(this.blockingSettings, `https://${domain}/`);
+            }
+            return blockedDomains[domain];
+        };
+        const nonWorkTypes = this.categories.filter(category => category.nonWork).map(category => category.name);
+        
+        try {
+            await this.historyStore.iterate(from, to, record => {
+                summary.sessionCount++;
+                HistoryAnalysis.addToFocusQuality(summary.focusQuality, record, isBlockedDomain, nonWorkTypes);
+                summary.totalMinutes += record.duration || 0;
+                
+                const day = summary.days[record.date] || (summary.days[record.date] = { pomodoros: 0, minutes: 0 });
+                day.minutes += record.duration || 0;
+                
+                if (this.isCompletedRecord(record)) {
+                    const type = record.type || '工作';
+                    day.pomodoros++;
+                    summary.completedCount++;
+                    HistoryAnalysis.addToHourGrid(summary.hourGrid, record);
+                    summary.typeCount[type] = (summary.typeCount[type] || 0) + 1;
+                    
+                    const domain = HistoryAnalysis.getDomain(record.url);
+                    if (domain) {
+                        summary.domainCount[domain] = (summary.domainCount[domain] || 0) + 1;
+                    }
+                } else {
+                    const reason = record.reason || '';
+                    summary.interruptedCount++;
+                    summary.reasonCount[reason] = (summary.reasonCount[reason] || 0) + 1;
+                }
+            });
+            
+            summary.peakWindows = HistoryAnalysis.findPeakWindows(summary.hourGrid);
+            summary.peakWeekday = HistoryAnalysis.findPeakWeekday(summary.hourGrid);
+            
+            const result = await chrome.storage.local.get(['breakStats']);
+            Object.entries(result.breakStats || {}).forEach(([date, day]) => {
+                if ((!from || date >= from) && (!to || date <= to)) {
+                    summary.skippedBreaks += day.skipped || 0;
+                }
+            });
+        } catch (error) {
+            console.error('Failed to summarize history:', error);
+        }
+        return summary;
+    }
+    
+    // mode is 'merge' (keep existing records, skip known ids) or 'replace'
+    async importHistory(rawRecords, mode = 'merge', dryRun = true) {
+        const existingIds = mode === 'merge' ? await this.historyStore.getAllIds() : [];
+        const { records, summary } = HistoryImport.plan(rawRecords, mode, existingIds);
+        
+        if (dryRun) {
+            return { summary };
+        }
+        
+        if (records.length === 0) {
+            throw new Error('没有可导入的有效记录');
+        }
+        
+        if (mode === 'replace') {
+            await this.historyStore.replaceAll(records);
+        } else {
+            await this.historyStore.bulkPut(records);
+        }
+        
+        try {
+            await this.rebuildSyncStats();
+        } catch (error) {
+            console.error('Failed to rebuild sync stats after import:', error);
+        }
+        
+        console.log(`Imported ${records.length} history records (${mode})`);
+        return { success: true, summary };
+    }
+    
+    async updateHistoryRecords(updateRecord) {
+        try {
+            await this.historyStore.updateAll(updateRecord);
+        } catch (error) {
+            console.error('Failed to update history records:', error);
+        }
+    }
+    
     async clearHistory() {
         try {
-            await chrome.storage.sync.remove(['history']);
-            await chrome.storage.local.remove(['history']);
+            await this.historyStore.clear();
+            await this.syncService.clearStats();
+            await chrome.storage.local.remove(['breakStats']);
             console.log('History cleared');
         } catch (error) {
             console.error('Failed to clear history:', error);
@@ -486,4 +2465,5 @@ chrome.runtime.onStartup.addListener(() => {
 // Handle extension installation
 chrome.runtime.onInstalled.addListener(() => {
     console.log('Tomato Clock extension installed');
+    tomatoService.createContextMenus();
 });
\ No newline at end of file
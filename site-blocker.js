@@ -0,0 +1,108 @@
+// site-blocker.js - Redirects distracting sites during work phases for Tomato Clock
+//
+// Blocking uses declarativeNetRequest session rules: they are dropped when the
+// browser closes, so a worker stopped mid-pomodoro can never leave sites
+// blocked for good, and the worker re-applies them when it restores a timer.
+// Matching top-level navigations are redirected to blocked.html#<original>.
+// A regexSubstitution cannot percent-encode, so the original URL goes in the
+// fragment, where its own query and fragment survive untouched.
+
+const DEFAULT_BLOCKING_SETTINGS = {
+    enabled: false,
+    strictMode: false, // Block everything except the allowlist
+    blocklist: [],
+    allowlist: []
+};
+
+class SiteBlocker {
+    constructor(dnr, blockedPageUrl) {
+        this.dnr = dnr;
+        this.blockedPageUrl = blockedPageUrl;
+    }
+
+    // Accepts "example.com", "*.example.com", "example.com/path*" or a pasted
+    // URL and returns the canonical pattern, or null when it is not usable
+    static normalizePattern(input) {
+        const pattern = String(input || '')
+            .trim()
+            .toLowerCase()
+            .replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+        const slash = pattern.indexOf('/');
+        const host = slash === -1 ? pattern : pattern.slice(0, slash);
+        const path = slash === -1 ? '' : pattern.slice(slash);
+
+        if (!/^(\*\.)?[a-z0-9*-]+(\.[a-z0-9*-]+)*$/.test(host) || /\s/.test(path)) {
+            return null;
+        }
+        // A path of just "/" adds nothing to the plain domain
+        return path === '/' ? host : host + path;
+    }
+
+    // A plain domain also matches its subdomains, "*." matches subdomains only
+    // and "*" matches any run of characters; a path matches as a prefix
+    static patternToRegex(pattern) {
+        const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        const slash = pattern.indexOf('/');
+        const host = slash === -1 ? pattern : pattern.slice(0, slash);
+        const path = slash === -1 ? '' : pattern.slice(slash);
+
+        const hostRegex = host.startsWith('*.')
+            ? `(?:[^/?#@]+\\.)${escape(host.slice(2)).replace(/\*/g, '[^/?#]*')}`
+            : `(?:[^/?#@]+\\.)?${escape(host).replace(/\*/g, '[^/?#]*')}`;
+        const pathRegex = path ? `${escape(path).replace(/\*/g, '.*')}.*` : '(?:[/?#].*)?';
+
+        // The whole URL is captured so the blocked page can offer it again
+        return `^(https?://(?:[^/?#@]*@)?${hostRegex}(?::\\d+)?${pathRegex})$`;
+    }
+
+    // Whether the rules for settings would redirect url, whether or not
+    // blocking is switched on
+    static isBlockedUrl(settings, url) {
+        const matches = patterns => patterns.some(pattern =>
+            new RegExp(SiteBlocker.patternToRegex(pattern)).test(url));
+        return settings.strictMode ? !matches(settings.allowlist) : matches(settings.blocklist);
+    }
+
+    static buildRules(settings, blockedPageUrl) {
+        const redirect = { type: 'redirect', redirect: { regexSubstitution: `${blockedPageUrl}#\\1` } };
+        const condition = regexFilter => ({ regexFilter, resourceTypes: ['main_frame'] });
+        const rules = [];
+
+        if (settings.strictMode) {
+            // Allow rules outrank the catch-all redirect
+            rules.push({ id: 1, priority: 1, action: redirect, condition: condition('^(https?://.*)$') });
+            settings.allowlist.forEach(pattern => {
+                rules.push({
+                    id: rules.length + 1,
+                    priority: 2,
+                    action: { type: 'allow' },
+                    condition: condition(SiteBlocker.patternToRegex(pattern))
+                });
+            });
+        } else {
+            settings.blocklist.forEach(pattern => {
+                rules.push({
+                    id: rules.length + 1,
+                    priority: 1,
+                    action: redirect,
+                    condition: condition(SiteBlocker.patternToRegex(pattern))
+                });
+            });
+        }
+        return rules;
+    }
+
+    // Replaces every session rule with the rules for the given state
+    async update(active, settings) {
+        const rules = active && settings.enabled ? SiteBlocker.buildRules(settings, this.blockedPageUrl) : [];
+        const existing = await this.dnr.getSessionRules();
+        await this.dnr.updateSessionRules({
+            removeRuleIds: existing.map(rule => rule.id),
+            addRules: rules
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SiteBlocker, DEFAULT_BLOCKING_SETTINGS };
+}
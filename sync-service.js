@@ -0,0 +1,429 @@
+// sync-service.js - Cross-device sync of tasks and daily stats for Tomato Clock
+//
+// chrome.storage.sync only allows 8 KB per item and ~100 KB in total, and
+// resolves conflicting writes to the same key by keeping the last one. Data is
+// therefore split into small items, and anything that several devices update
+// concurrently is stored per device so that no write can overwrite another:
+//
+//   device:<deviceId>               { name, lastSeen }
+//   settings:<deviceId>             { field: [value, updatedAt] } for fields changed on that device
+//   task:<taskId>                   task fields (last writer wins per task)
+//   taskCounts:<deviceId>           { taskId: completed pomodoros on that device }
+//   stats:<deviceId>:<YYYY-MM>      { DD: [pomodoros, focused minutes] }
+//
+// Totals are the sum over devices and each setting takes its newest value,
+// so merging is order-independent. A device only ever removes entries from
+// its own items, e.g. its counters for tasks deleted on any device.
+//
+// Archived tasks leave sync for this device's archivedTasks item in
+// chrome.storage.local, with their pomodoro total, and the oldest completed
+// tasks are archived when a new task would pass MAX_SYNCED_TASKS.
+
+const STATS_MONTHS_KEPT = 13; // Keep a year of daily stats plus the current month
+const MAX_SYNCED_TASKS = 150; // Leaves room in the 512 items and ~100 KB of sync storage for everything else
+
+class SyncService {
+    constructor(syncArea, localArea) {
+        this.syncArea = syncArea;
+        this.localArea = localArea;
+        this.deviceId = null;
+        this.lastSeenDate = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    // Runs read-modify-write updates one at a time so that two updates of the
+    // same item from this device cannot overwrite each other
+    serialize(update) {
+        const result = this.writeQueue.then(update);
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    async init() {
+        const result = await this.localArea.get(['syncDeviceId']);
+        this.deviceId = result.syncDeviceId;
+        if (!this.deviceId) {
+            this.deviceId = `dev-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+            await this.localArea.set({ syncDeviceId: this.deviceId });
+        }
+
+        await this.touchDevice();
+        await this.migrateSettings();
+        await this.pruneTaskCounts();
+        await this.pruneStats();
+    }
+
+    isTaskKey(key) {
+        return key.startsWith('task:') || key.startsWith('taskCounts:');
+    }
+
+    isSettingsKey(key) {
+        return key.startsWith('settings:');
+    }
+
+    getDeviceName() {
+        const platform = (typeof navigator !== 'undefined' &&
+            ((navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform)) || 'Chrome';
+        return `${platform} · ${this.deviceId.slice(-4)}`;
+    }
+
+    // Records that this device is alive, at most once per day to save write quota
+    touchDevice(date = new Date()) {
+        return this.serialize(async () => {
+            const today = date.toISOString().split('T')[0];
+            if (this.lastSeenDate === today) {
+                return;
+            }
+
+            const key = `device:${this.deviceId}`;
+            const result = await this.syncArea.get([key]);
+            const device = result[key] || { name: this.getDeviceName() };
+            await this.syncArea.set({ [key]: { ...device, lastSeen: date.toISOString() } });
+            this.lastSeenDate = today;
+        });
+    }
+
+    async getAllItems() {
+        return this.syncArea.get(null);
+    }
+
+    // Settings methods
+    // Newest value of every field over all devices, with the time it was set;
+    // equal times go to the device id that sorts first
+    static mergeSettings(items) {
+        const values = {};
+        const updatedAt = {};
+        Object.keys(items)
+            .filter(key => key.startsWith('settings:'))
+            .sort()
+            .forEach(key => {
+                Object.entries(items[key] || {}).forEach(([field, [value, time]]) => {
+                    if (!(field in updatedAt) || time > updatedAt[field]) {
+                        values[field] = value;
+                        updatedAt[field] = time;
+                    }
+                });
+            });
+
+        // Fields in name order, whichever device's item they came from
+        const settings = {};
+        Object.keys(values).sort().forEach(field => {
+            settings[field] = values[field];
+        });
+        return { settings, updatedAt };
+    }
+
+    async loadSettings() {
+        return SyncService.mergeSettings(await this.getAllItems()).settings;
+    }
+
+    // Stamps only the fields that differ from the merged settings, so saving
+    // all settings does not undo what another device changed meanwhile
+    saveSettings(settings, now = Date.now()) {
+        return this.serialize(async () => {
+            const items = await this.getAllItems();
+            const merged = SyncService.mergeSettings(items);
+            const key = `settings:${this.deviceId}`;
+            const own = items[key] || {};
+            let changed = false;
+
+            Object.entries(settings).forEach(([field, value]) => {
+                if (value === undefined || JSON.stringify(value) === JSON.stringify(merged.settings[field])) {
+                    return;
+                }
+                // A new value must win over the one it replaces, even when
+                // this device's clock is behind
+                own[field] = [value, Math.max(now, (merged.updatedAt[field] || 0) + 1)];
+                changed = true;
+            });
+
+            if (changed) {
+                await this.syncArea.set({ [key]: own });
+            }
+        });
+    }
+
+    // Older versions synced all settings as one timerSettings item
+    async migrateSettings() {
+        const result = await this.syncArea.get(['timerSettings']);
+        if (result.timerSettings) {
+            await this.saveSettings(result.timerSettings);
+            await this.syncArea.remove(['timerSettings']);
+        }
+    }
+
+    // Task methods
+    async loadTasks() {
+        const tasks = SyncService.mergeTasks(await this.getAllItems());
+        const synced = new Set(tasks.map(task => task.id));
+        // A task restored on another device is synced again and wins
+        const archived = Object.values(await this.loadArchivedTasks()).filter(task => !synced.has(task.id));
+        return [...tasks, ...archived]
+            .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)) || a.id.localeCompare(b.id));
+    }
+
+    async loadArchivedTasks() {
+        const result = await this.localArea.get(['archivedTasks']);
+        return result.archivedTasks || {};
+    }
+
+    // Builds the task list from task items and every device's counters
+    static mergeTasks(items) {
+        const counts = {};
+        Object.keys(items)
+            .filter(key => key.startsWith('taskCounts:'))
+            .forEach(key => {
+                Object.entries(items[key] || {}).forEach(([taskId, count]) => {
+                    counts[taskId] = (counts[taskId] || 0) + count;
+                });
+            });
+
+        return Object.keys(items)
+            .filter(key => key.startsWith('task:'))
+            .map(key => ({ ...items[key], completedPomodoros: counts[items[key].id] || 0 }))
+            .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)) || a.id.localeCompare(b.id));
+    }
+
+    async saveTask(task) {
+        if (task.archived) {
+            await this.archiveTask(task);
+            return;
+        }
+
+        // The pomodoro count lives in the per-device counters
+        const { completedPomodoros, ...fields } = task;
+        const archived = await this.loadArchivedTasks();
+        const key = `task:${task.id}`;
+        if (!(key in await this.syncArea.get([key]))) {
+            await this.makeRoomForTask();
+        }
+        await this.syncArea.set({
+            [key]: { ...fields, updatedAt: new Date().toISOString(), updatedBy: this.deviceId }
+        });
+
+        // A restored task brings its total back as this device's count
+        if (archived[task.id]) {
+            await this.incrementTaskCount(task.id, archived[task.id].completedPomodoros || 0);
+            await this.removeArchivedTask(task.id);
+        }
+    }
+
+    // Keeps the task on this device only, with the total of every device's
+    // counters; other devices see it go as a deletion and drop theirs
+    async archiveTask(task) {
+        const tasks = SyncService.mergeTasks(await this.getAllItems());
+        const synced = tasks.find(item => item.id === task.id);
+        await this.serialize(async () => {
+            const archived = await this.loadArchivedTasks();
+            archived[task.id] = {
+                ...task,
+                archived: true,
+                completedPomodoros: synced ? synced.completedPomodoros : task.completedPomodoros || 0,
+                updatedAt: new Date().toISOString()
+            };
+            await this.localArea.set({ archivedTasks: archived });
+        });
+        if (synced) {
+            await this.syncArea.remove([`task:${task.id}`]);
+            await this.pruneTaskCounts();
+        }
+    }
+
+    removeArchivedTask(taskId) {
+        return this.serialize(async () => {
+            const archived = await this.loadArchivedTasks();
+            if (archived[taskId]) {
+                delete archived[taskId];
+                await this.localArea.set({ archivedTasks: archived });
+            }
+        });
+    }
+
+    // Archives the oldest completed tasks until a new one fits; throws when
+    // every synced task is still open
+    async makeRoomForTask() {
+        const tasks = SyncService.mergeTasks(await this.getAllItems());
+        const excess = tasks.length - MAX_SYNCED_TASKS + 1;
+        if (excess <= 0) {
+            return;
+        }
+
+        const completed = tasks
+            .filter(task => task.completed)
+            .sort((a, b) => String(a.updatedAt).localeCompare(String(b.updatedAt)));
+        if (completed.length < excess) {
+            throw new Error(`最多同步 ${MAX_SYNCED_TASKS} 个未归档的任务，请先完成、归档或删除一些任务`);
+        }
+        for (const task of completed.slice(0, excess)) {
+            await this.archiveTask(task);
+        }
+    }
+
+    // Other devices drop their counters for the task when they see it go
+    async deleteTask(taskId) {
+        await this.syncArea.remove([`task:${taskId}`]);
+        await this.removeArchivedTask(taskId);
+        await this.pruneTaskCounts();
+    }
+
+    // Drops this device's counters for tasks that no longer exist. A device
+    // only counts tasks it has seen, so a missing task item means a deletion.
+    pruneTaskCounts() {
+        return this.serialize(async () => {
+            const items = await this.getAllItems();
+            const countsKey = `taskCounts:${this.deviceId}`;
+            const counts = items[countsKey] || {};
+            const deleted = Object.keys(counts).filter(taskId => !(`task:${taskId}` in items));
+            if (deleted.length > 0) {
+                deleted.forEach(taskId => delete counts[taskId]);
+                await this.syncArea.set({ [countsKey]: counts });
+            }
+        });
+    }
+
+    incrementTaskCount(taskId, amount = 1) {
+        return this.serialize(async () => {
+            const countsKey = `taskCounts:${this.deviceId}`;
+            const result = await this.syncArea.get([countsKey]);
+            const counts = result[countsKey] || {};
+            counts[taskId] = (counts[taskId] || 0) + amount;
+            await this.syncArea.set({ [countsKey]: counts });
+        });
+    }
+
+    // Moves tasks kept in chrome.storage.local by older versions into sync,
+    // attributing their existing pomodoro counts to this device
+    async importTasks(tasks) {
+        for (const task of tasks) {
+            await this.saveTask(task);
+            // An archived task keeps its total with the task itself
+            if (task.completedPomodoros && !task.archived) {
+                await this.incrementTaskCount(task.id, task.completedPomodoros);
+            }
+        }
+    }
+
+    // Daily stats methods
+    getStatsKey(date, deviceId = this.deviceId) {
+        return `stats:${deviceId}:${date.slice(0, 7)}`;
+    }
+
+    async recordDay(date, minutes, completed) {
+        await this.serialize(async () => {
+            const key = this.getStatsKey(date);
+            const result = await this.syncArea.get([key]);
+            const month = result[key] || {};
+            const day = date.slice(8, 10);
+            const [pomodoros, focusedMinutes] = month[day] || [0, 0];
+
+            month[day] = [
+                pomodoros + (completed ? 1 : 0),
+                Math.round((focusedMinutes + minutes) * 10) / 10
+            ];
+            await this.syncArea.set({ [key]: month });
+        });
+        await this.touchDevice();
+    }
+
+    // Replaces this device's stats with aggregates of the given history records
+    async rebuildStats(records) {
+        const months = {};
+        records.forEach(record => {
+            const key = this.getStatsKey(record.date);
+            const day = record.date.slice(8, 10);
+            months[key] = months[key] || {};
+            const [pomodoros, minutes] = months[key][day] || [0, 0];
+            const completed = !record.outcome || record.outcome === 'completed';
+            months[key][day] = [
+                pomodoros + (completed ? 1 : 0),
+                Math.round((minutes + (record.duration || 0)) * 10) / 10
+            ];
+        });
+
+        await this.clearStats();
+        if (Object.keys(months).length > 0) {
+            await this.syncArea.set(months);
+        }
+        await this.pruneStats();
+    }
+
+    async clearStats() {
+        const items = await this.getAllItems();
+        const ownKeys = Object.keys(items).filter(key => key.startsWith(`stats:${this.deviceId}:`));
+        if (ownKeys.length > 0) {
+            await this.syncArea.remove(ownKeys);
+        }
+    }
+
+    // Drops this device's months that fall outside the kept window
+    async pruneStats(now = new Date()) {
+        const oldest = new Date(now.getFullYear(), now.getMonth() - (STATS_MONTHS_KEPT - 1), 1);
+        const oldestMonth = `${oldest.getFullYear()}-${(oldest.getMonth() + 1).toString().padStart(2, '0')}`;
+
+        const items = await this.getAllItems();
+        const expired = Object.keys(items).filter(key =>
+            key.startsWith(`stats:${this.deviceId}:`) && key.split(':')[2] < oldestMonth
+        );
+        if (expired.length > 0) {
+            await this.syncArea.remove(expired);
+        }
+    }
+
+    // Sums every device's stats per day: { date: { pomodoros, minutes, devices: { deviceId: pomodoros } } }
+    static mergeDailyStats(items, from = null, to = null) {
+        const days = {};
+        // Keys are visited in sorted order so the result never depends on write order
+        Object.keys(items)
+            .filter(key => key.startsWith('stats:'))
+            .sort()
+            .forEach(key => {
+                const [, deviceId, month] = key.split(':');
+                Object.entries(items[key] || {}).forEach(([day, [pomodoros, minutes]]) => {
+                    const date = `${month}-${day}`;
+                    if ((from && date < from) || (to && date > to)) {
+                        return;
+                    }
+                    const entry = days[date] || (days[date] = { pomodoros: 0, minutes: 0, devices: {} });
+                    entry.pomodoros += pomodoros;
+                    entry.minutes = Math.round((entry.minutes + minutes) * 10) / 10;
+                    entry.devices[deviceId] = (entry.devices[deviceId] || 0) + pomodoros;
+                });
+            });
+        return days;
+    }
+
+    async getDailyStats(from = null, to = null) {
+        return SyncService.mergeDailyStats(await this.getAllItems(), from, to);
+    }
+
+    // Lists known devices with the pomodoros and minutes they contributed
+    async getDevices() {
+        const items = await this.getAllItems();
+        const devices = {};
+
+        Object.keys(items)
+            .filter(key => key.startsWith('device:'))
+            .forEach(key => {
+                const id = key.slice('device:'.length);
+                devices[id] = { id, ...items[key], pomodoros: 0, minutes: 0, isCurrent: id === this.deviceId };
+            });
+
+        Object.keys(items)
+            .filter(key => key.startsWith('stats:'))
+            .forEach(key => {
+                const deviceId = key.split(':')[1];
+                const device = devices[deviceId] ||
+                    (devices[deviceId] = { id: deviceId, name: deviceId, pomodoros: 0, minutes: 0, isCurrent: false });
+                Object.values(items[key] || {}).forEach(([pomodoros, minutes]) => {
+                    device.pomodoros += pomodoros;
+                    device.minutes = Math.round((device.minutes + minutes) * 10) / 10;
+                });
+            });
+
+        return Object.values(devices).sort((a, b) => b.pomodoros - a.pomodoros || a.id.localeCompare(b.id));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SyncService, MAX_SYNCED_TASKS };
+}
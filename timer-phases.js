@@ -0,0 +1,65 @@
+// timer-phases.js - Order and length of the phases of a Tomato Clock cycle
+//
+// A cycle is one work phase and the break after it. The service worker moves
+// through the phases with these functions, so demo.js can check the sequence
+// without Chrome. A flow session counts up instead of down: it has no end
+// time and earns a break in proportion to the time focused.
+
+class TimerPhases {
+    // A long break follows every longBreakInterval-th work phase; 0 means never
+    static isLongBreakDue(cycle, longBreakInterval) {
+        const interval = parseInt(longBreakInterval, 10);
+        return interval >= 1 && cycle % interval === 0;
+    }
+
+    // Phase after phase, as { phase, cycle, seconds }; the cycle count goes up
+    // when work starts again after a break. flowSeconds is the focused time
+    // of a flow session that just ended, which is always followed by a short break.
+    static getNextPhase(phase, cycle, settings, flowSeconds = null) {
+        if (phase !== 'work') {
+            return { phase: 'work', cycle: cycle + 1, seconds: settings.workDuration * 60 };
+        }
+        if (flowSeconds !== null) {
+            return {
+                phase: 'short-break',
+                cycle,
+                seconds: TimerPhases.getFlowBreakSeconds(flowSeconds, settings.flowBreakRatio)
+            };
+        }
+        if (TimerPhases.isLongBreakDue(cycle, settings.longBreakInterval)) {
+            return { phase: 'long-break', cycle, seconds: settings.longBreakDuration * 60 };
+        }
+        return { phase: 'short-break', cycle, seconds: settings.shortBreakDuration * 60 };
+    }
+
+    // 1/flowBreakRatio of the focused time in whole minutes, at least one
+    static getFlowBreakSeconds(focusedSeconds, flowBreakRatio) {
+        const ratio = parseInt(flowBreakRatio, 10) || 5;
+        return Math.max(1, Math.round(focusedSeconds / ratio / 60)) * 60;
+    }
+
+    // Seconds worked in a session, leaving out its pauses; a pause that is
+    // still open lasts until now
+    static getFocusedSeconds(session, now) {
+        const pausedMs = session.pauses.reduce((sum, pause) => {
+            const end = pause.end ? new Date(pause.end).getTime() : now;
+            return sum + Math.max(0, end - new Date(pause.start).getTime());
+        }, 0);
+        return Math.max(0, Math.round((now - new Date(session.startedAt).getTime() - pausedMs) / 1000));
+    }
+
+    // Where a running phase stands at now, e.g. after the worker was stopped:
+    // { due: true } when a countdown ended meanwhile, otherwise the seconds
+    // left, or for a flow session (no endTime) the seconds focused so far
+    static catchUp(timerState, now) {
+        if (!timerState.endTime) {
+            return { due: false, timeElapsed: TimerPhases.getFocusedSeconds(timerState.session, now) };
+        }
+        const timeLeft = Math.max(0, Math.floor((timerState.endTime - now) / 1000));
+        return timeLeft > 0 ? { due: false, timeRemaining: timeLeft } : { due: true };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimerPhases };
+}
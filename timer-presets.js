@@ -0,0 +1,91 @@
+// timer-presets.js - Named sets of phase durations for Tomato Clock
+//
+// The service worker keeps the list and the active preset; the popup only
+// needs findMatching, to tell which preset a hand-edited form amounts to.
+
+// Built-in timer presets, used until the user edits the list
+const DEFAULT_PRESETS = [
+    { id: 'classic', name: '经典 25/5', workDuration: 25, shortBreakDuration: 5, longBreakDuration: 15 },
+    { id: 'deep-work', name: '深度工作 50/10', workDuration: 50, shortBreakDuration: 10, longBreakDuration: 30 }
+];
+
+class TimerPresets {
+    // Returns a cleaned copy of presets; new presets get an id
+    static validate(presets) {
+        if (!Array.isArray(presets)) {
+            throw new Error('Presets must be a list');
+        }
+
+        const ids = new Set();
+        const minutes = (value, max) => {
+            const number = parseInt(value, 10);
+            if (!number || number < 1 || number > max) {
+                throw new Error(`Preset durations must be 1-${max} minutes`);
+            }
+            return number;
+        };
+
+        return presets.map(preset => {
+            const name = String(preset.name || '').trim();
+            if (!name) {
+                throw new Error('Preset name is required');
+            }
+
+            const id = preset.id || `preset-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            if (ids.has(id)) {
+                throw new Error(`Duplicate preset: ${id}`);
+            }
+            ids.add(id);
+
+            return {
+                id,
+                name,
+                workDuration: minutes(preset.workDuration, 180),
+                shortBreakDuration: minutes(preset.shortBreakDuration, 60),
+                longBreakDuration: minutes(preset.longBreakDuration, 120)
+            };
+        });
+    }
+
+    // First preset with exactly the durations of settings, or null
+    static findMatching(presets, settings) {
+        return presets.find(preset =>
+            preset.workDuration === settings.workDuration &&
+            preset.shortBreakDuration === settings.shortBreakDuration &&
+            preset.longBreakDuration === settings.longBreakDuration) || null;
+    }
+
+    static apply(settings, preset) {
+        return {
+            ...settings,
+            workDuration: preset.workDuration,
+            shortBreakDuration: preset.shortBreakDuration,
+            longBreakDuration: preset.longBreakDuration,
+            activePresetId: preset.id
+        };
+    }
+
+    // Only a phase that has not started yet takes a new preset's length at
+    // once; one that is running or paused keeps its length
+    static isPhaseUnstarted(timerState) {
+        return !timerState.isRunning &&
+            !timerState.session &&
+            timerState.timeRemaining === timerState.phaseDuration;
+    }
+
+    // Default preset of a task category to switch to, or null when it has
+    // none, it is already active or a work session is under way
+    static getCategoryPreset(presets, categories, categoryName, settings, timerState) {
+        const category = categories.find(c => c.name === categoryName);
+        const preset = category && category.presetId
+            ? presets.find(p => p.id === category.presetId) || null
+            : null;
+        const workUnderWay = timerState.currentPhase === 'work' &&
+            (timerState.isRunning || !!timerState.session);
+        return preset && preset.id !== settings.activePresetId && !workUnderWay ? preset : null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimerPresets, DEFAULT_PRESETS };
+}
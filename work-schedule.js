@@ -0,0 +1,121 @@
+// work-schedule.js - Weekly timetable of focus blocks for Tomato Clock
+//
+// A block repeats on the given weekdays (0 = Monday, as in the hour grid) from
+// start to end in local time, e.g. { days: [0, 1, 2, 3, 4], start: '09:00', end: '11:30' }.
+// Blocks do not cross midnight, and none start on a holiday (YYYY-MM-DD).
+// Holidays are matched with HistoryAnalysis.formatDate, so the service worker
+// imports history-analysis.js too.
+
+const DEFAULT_SCHEDULE = {
+    enabled: false,
+    stopAfterBlock: true, // Start no new pomodoro once the block is over
+    blocks: [],
+    holidays: []
+};
+
+const SCHEDULE_SEARCH_DAYS = 400; // Enough to look past a long list of holidays
+
+class WorkSchedule {
+    // Minutes after midnight for "H:MM" or "HH:MM", or null
+    static parseTime(text) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+        if (!match) {
+            return null;
+        }
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+    }
+
+    static formatTime(minutes) {
+        const hours = Math.floor(minutes / 60).toString().padStart(2, '0');
+        return `${hours}:${(minutes % 60).toString().padStart(2, '0')}`;
+    }
+
+    // Returns a cleaned copy of schedule; messages are shown to the user as is
+    static validate(schedule) {
+        const blocks = (Array.isArray(schedule.blocks) ? schedule.blocks : []).map((block, index) => {
+            const days = [...new Set((block && block.days) || [])]
+                .filter(day => Number.isInteger(day) && day >= 0 && day < 7)
+                .sort((a, b) => a - b);
+            const start = WorkSchedule.parseTime(block && block.start);
+            const end = WorkSchedule.parseTime(block && block.end);
+            if (days.length === 0) {
+                throw new Error(`第 ${index + 1} 个时段没有选择星期`);
+            }
+            if (start === null || end === null) {
+                throw new Error(`第 ${index + 1} 个时段的时间格式应为 HH:MM`);
+            }
+            if (end <= start) {
+                throw new Error(`第 ${index + 1} 个时段的结束时间需晚于开始时间`);
+            }
+            return { days, start: WorkSchedule.formatTime(start), end: WorkSchedule.formatTime(end) };
+        });
+
+        const holidays = [];
+        (Array.isArray(schedule.holidays) ? schedule.holidays : []).forEach(input => {
+            const text = String(input).trim();
+            const [year, month, day] = text.split('-').map(Number);
+            const date = new Date(year, month - 1, day);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || HistoryAnalysis.formatDate(date) !== text) {
+                throw new Error(`无效的日期：${text}，格式应为 YYYY-MM-DD`);
+            }
+            if (!holidays.includes(text)) {
+                holidays.push(text);
+            }
+        });
+
+        return {
+            enabled: !!schedule.enabled,
+            stopAfterBlock: schedule.stopAfterBlock !== false,
+            blocks,
+            holidays: holidays.sort()
+        };
+    }
+
+    // The blocks falling on the day of date as { start, end } Dates, earliest first
+    static getBlocksOn(schedule, date) {
+        if (schedule.holidays.includes(HistoryAnalysis.formatDate(date))) {
+            return [];
+        }
+
+        const weekday = (date.getDay() + 6) % 7;
+        const at = minutes => new Date(date.getFullYear(), date.getMonth(), date.getDate(),
+            Math.floor(minutes / 60), minutes % 60);
+        return schedule.blocks
+            .filter(block => block.days.includes(weekday))
+            .map(block => ({
+                start: at(WorkSchedule.parseTime(block.start)),
+                end: at(WorkSchedule.parseTime(block.end))
+            }))
+            .sort((a, b) => a.start - b.start || a.end - b.end);
+    }
+
+    // Block in progress at now, or null; of overlapping blocks the one ending last
+    static findCurrentBlock(schedule, now) {
+        const current = WorkSchedule.getBlocksOn(schedule, now)
+            .filter(block => block.start <= now && now < block.end);
+        return current.length > 0 ? current.reduce((a, b) => (b.end > a.end ? b : a)) : null;
+    }
+
+    // First block starting after now, or null when none is scheduled
+    static findNextBlock(schedule, now) {
+        if (schedule.blocks.length === 0) {
+            return null;
+        }
+
+        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        for (let i = 0; i < SCHEDULE_SEARCH_DAYS; i++) {
+            const next = WorkSchedule.getBlocksOn(schedule, date).find(block => block.start > now);
+            if (next) {
+                return next;
+            }
+            date.setDate(date.getDate() + 1);
+        }
+        return null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WorkSchedule, DEFAULT_SCHEDULE };
+}